@@ -6,5 +6,5 @@ await build({
   format: "cjs",
   platform: "browser",
   target: ["es2018"],
-  bundle: false
+  bundle: true
 });
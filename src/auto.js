@@ -0,0 +1,23 @@
+/**
+ * MonkeysJS - Auto-init Entry
+ * Exposes the global namespace and mounts every [m-data] element once the DOM is ready.
+ * This is the entry used by the CDN builds; import 'monkeysjs/auto' to opt in from a bundler.
+ */
+
+import MonkeysJS from './index.js';
+import { autoInit } from './dom/binding.js';
+import './live/auto.js';
+
+if (typeof window !== 'undefined') {
+  window.MonkeysJS = MonkeysJS;
+  window.$m = MonkeysJS;
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoInit);
+  } else {
+    autoInit();
+  }
+}
+
+export * from './index.js';
+export default MonkeysJS;
@@ -0,0 +1,220 @@
+/**
+ * MonkeysJS - History
+ * Undo/redo over refs and reactive objects
+ */
+
+import { shallowRef, computed, watch, batch, isRef, isReactive, toRaw } from './reactive.js';
+import { deepClone, debounce, throttle } from '../utils/helpers.js';
+
+/**
+ * Record the history of a ref or reactive object
+ * @param {Object} source - Ref or reactive object to track
+ * @param {Object} options - { capacity, deep, clone, throttle, debounce }
+ * @returns {Object} - History state and controls
+ */
+export function useRefHistory(source, options = {}) {
+  const {
+    capacity = Infinity,
+    deep = true,
+    clone = deepClone,
+    throttle: throttleDelay,
+    debounce: debounceDelay
+  } = options;
+
+  if (!isRef(source) && !isReactive(source)) {
+    console.warn('MonkeysJS: useRefHistory() expects a ref or reactive object.');
+  }
+
+  const dump = (value) => {
+    if (clone === false) return value;
+    return clone(toRaw(value));
+  };
+
+  const createRecord = () => ({
+    snapshot: dump(isRef(source) ? source.value : source),
+    timestamp: Date.now()
+  });
+
+  const last = shallowRef(createRecord());
+  const undoStack = shallowRef([]);
+  const redoStack = shallowRef([]);
+  const isTracking = shallowRef(true);
+
+  const history = computed(() => [last.value, ...undoStack.value]);
+  const canUndo = computed(() => undoStack.value.length > 0);
+  const canRedo = computed(() => redoStack.value.length > 0);
+
+  let pending = false;
+  let ignoring = false;
+  let batching = false;
+
+  /**
+   * Record the current value as a new history entry
+   */
+  function commit() {
+    pending = false;
+    undoStack.value = [last.value, ...undoStack.value].slice(0, capacity);
+    last.value = createRecord();
+    if (redoStack.value.length) {
+      redoStack.value = [];
+    }
+  }
+
+  const commitPending = () => {
+    if (pending) commit();
+  };
+
+  let scheduleCommit = commitPending;
+  if (throttleDelay) {
+    scheduleCommit = throttle(commitPending, throttleDelay);
+  } else if (debounceDelay) {
+    scheduleCommit = debounce(commitPending, debounceDelay);
+  }
+
+  const stopWatch = watch(source, () => {
+    if (ignoring || !isTracking.value) return;
+
+    pending = true;
+    if (!batching) {
+      scheduleCommit();
+    }
+  }, { deep, flush: 'sync' });
+
+  /**
+   * Write a snapshot back to the source without recording it
+   */
+  function apply(record) {
+    const value = dump(record.snapshot);
+    ignoring = true;
+
+    try {
+      batch(() => {
+        if (isRef(source)) {
+          source.value = value;
+        } else if (Array.isArray(source)) {
+          source.splice(0, source.length, ...value);
+        } else if (source instanceof Map || source instanceof Set) {
+          source.clear();
+          value.forEach((v, k) => source instanceof Map ? source.set(k, v) : source.add(v));
+        } else {
+          Object.keys(source).forEach(key => {
+            if (!(key in value)) {
+              delete source[key];
+            }
+          });
+          Object.assign(source, value);
+        }
+      });
+    } finally {
+      ignoring = false;
+    }
+  }
+
+  /**
+   * Restore the previous entry
+   */
+  function undo() {
+    commitPending();
+    if (!undoStack.value.length) return;
+
+    const [previous, ...rest] = undoStack.value;
+    redoStack.value = [last.value, ...redoStack.value];
+    undoStack.value = rest;
+    last.value = previous;
+    apply(previous);
+  }
+
+  /**
+   * Re-apply the last undone entry
+   */
+  function redo() {
+    if (!redoStack.value.length) return;
+
+    const [next, ...rest] = redoStack.value;
+    undoStack.value = [last.value, ...undoStack.value].slice(0, capacity);
+    redoStack.value = rest;
+    last.value = next;
+    apply(next);
+  }
+
+  /**
+   * Group every change made in fn into a single entry
+   * @param {Function} fn - Receives a function that cancels the commit
+   */
+  function batchCommits(fn) {
+    let canceled = false;
+    batching = true;
+
+    try {
+      fn(() => {
+        canceled = true;
+      });
+    } finally {
+      batching = false;
+    }
+
+    if (canceled) {
+      pending = false;
+    } else {
+      commitPending();
+    }
+  }
+
+  /**
+   * Discard all entries except the current one
+   */
+  function clear() {
+    undoStack.value = [];
+    redoStack.value = [];
+  }
+
+  /**
+   * Stop recording changes
+   */
+  function pause() {
+    isTracking.value = false;
+  }
+
+  /**
+   * Resume recording changes
+   * @param {boolean} commitNow - Record the current value immediately
+   */
+  function resume(commitNow = false) {
+    isTracking.value = true;
+    if (commitNow) {
+      commit();
+    }
+  }
+
+  /**
+   * Stop watching the source and drop any throttled or debounced commit
+   */
+  function stop() {
+    stopWatch();
+    scheduleCommit.cancel?.();
+    pending = false;
+  }
+
+  return {
+    source,
+    history,
+    last,
+    undoStack,
+    redoStack,
+    canUndo,
+    canRedo,
+    isTracking,
+    commit,
+    undo,
+    redo,
+    clear,
+    batch: batchCommits,
+    pause,
+    resume,
+    stop
+  };
+}
+
+export default {
+  useRefHistory
+};
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi } from 'vitest';
+import { useRefHistory } from './history';
+import { ref, reactive } from './reactive';
+import { useForm } from '../dom/form';
+
+describe('useRefHistory', () => {
+  it('should undo and redo ref changes', () => {
+    const count = ref(0);
+    const { undo, redo, canUndo, canRedo, history } = useRefHistory(count);
+
+    expect(canUndo.value).toBe(false);
+
+    count.value = 1;
+    count.value = 2;
+    expect(history.value.map(r => r.snapshot)).toEqual([2, 1, 0]);
+
+    undo();
+    expect(count.value).toBe(1);
+    expect(canRedo.value).toBe(true);
+
+    undo();
+    expect(count.value).toBe(0);
+    expect(canUndo.value).toBe(false);
+
+    redo();
+    redo();
+    expect(count.value).toBe(2);
+    expect(canRedo.value).toBe(false);
+  });
+
+  it('should snapshot nested changes of reactive objects', () => {
+    const doc = reactive({ title: 'a', tags: ['x'] });
+    const { undo, redo } = useRefHistory(doc);
+
+    doc.tags.push('y');
+    doc.title = 'b';
+
+    undo();
+    expect(doc).toEqual({ title: 'a', tags: ['x', 'y'] });
+    undo();
+    expect(doc.tags).toEqual(['x']);
+    redo();
+    expect(doc.tags).toEqual(['x', 'y']);
+  });
+
+  it('should clear redo entries after a new commit', () => {
+    const text = ref('a');
+    const { undo, canRedo } = useRefHistory(text);
+
+    text.value = 'b';
+    undo();
+    expect(canRedo.value).toBe(true);
+
+    text.value = 'c';
+    expect(canRedo.value).toBe(false);
+  });
+
+  it('should respect the capacity limit', () => {
+    const count = ref(0);
+    const { history, undo } = useRefHistory(count, { capacity: 2 });
+
+    for (let i = 1; i <= 5; i++) count.value = i;
+    expect(history.value.map(r => r.snapshot)).toEqual([5, 4, 3]);
+
+    undo();
+    undo();
+    undo();
+    expect(count.value).toBe(3);
+  });
+
+  it('should group changes with batch', () => {
+    const state = reactive({ a: 1, b: 1 });
+    const { history, batch, undo } = useRefHistory(state);
+
+    batch(() => {
+      state.a = 2;
+      state.b = 2;
+    });
+    expect(history.value).toHaveLength(2);
+
+    undo();
+    expect(state).toEqual({ a: 1, b: 1 });
+  });
+
+  it('should debounce commits', () => {
+    vi.useFakeTimers();
+    const text = ref('');
+    const { history, undo } = useRefHistory(text, { debounce: 100 });
+
+    text.value = 'h';
+    text.value = 'he';
+    text.value = 'hey';
+    expect(history.value).toHaveLength(1);
+
+    vi.advanceTimersByTime(100);
+    expect(history.value.map(r => r.snapshot)).toEqual(['hey', '']);
+
+    text.value = 'hey!';
+    undo();
+    expect(text.value).toBe('hey');
+    vi.useRealTimers();
+  });
+
+  it('should drop pending debounced and throttled commits on stop', () => {
+    vi.useFakeTimers();
+    const text = ref('');
+    const debounced = useRefHistory(text, { debounce: 100 });
+    const throttled = useRefHistory(text, { throttle: 100 });
+
+    text.value = 'a';
+    text.value = 'ab';
+    debounced.stop();
+    throttled.stop();
+    vi.advanceTimersByTime(200);
+
+    expect(debounced.history.value.map(r => r.snapshot)).toEqual(['']);
+    expect(throttled.history.value.map(r => r.snapshot)).toEqual(['a', '']);
+    vi.useRealTimers();
+  });
+
+  it('should not record while paused', () => {
+    const count = ref(0);
+    const { history, pause, resume } = useRefHistory(count);
+
+    pause();
+    count.value = 1;
+    expect(history.value).toHaveLength(1);
+
+    resume(true);
+    expect(history.value.map(r => r.snapshot)).toEqual([1, 0]);
+  });
+
+  it('should work with useForm values', () => {
+    const form = useForm({ name: '', email: '' });
+    const { undo, redo } = useRefHistory(form.values);
+
+    form.setValues({ name: 'Ann', email: 'ann@example.com' });
+    form.values.name = 'Anna';
+
+    undo();
+    expect(form.values.name).toBe('Ann');
+    undo();
+    expect(form.values).toEqual({ name: '', email: '' });
+    redo();
+    expect(form.values.email).toBe('ann@example.com');
+  });
+});
@@ -0,0 +1,366 @@
+/**
+ * MonkeysJS - JSON Patch
+ * Apply and produce RFC 6902 patches so reactive state updates key by key
+ */
+
+import { batch, toRaw } from './reactive.js';
+import { deepClone } from '../utils/helpers.js';
+
+/**
+ * JSON Patch error class
+ */
+export class PatchError extends Error {
+  constructor(message, operation, index) {
+    super(message);
+    this.name = 'PatchError';
+    this.operation = operation;
+    this.index = index;
+  }
+}
+
+// Keys that lead to prototypes rather than data
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Parse a JSON Pointer (RFC 6901) into path tokens
+ */
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw new PatchError(`Invalid JSON Pointer "${pointer}"`);
+  }
+  const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  // Patches may come from other clients; never let them reach Object.prototype
+  if (tokens.some(token => UNSAFE_KEYS.has(token))) {
+    throw new PatchError(`Path "${pointer}" is not allowed`);
+  }
+  return tokens;
+}
+
+/**
+ * Escape a key for use in a JSON Pointer
+ */
+function escapeToken(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolve an array index token
+ */
+function toIndex(array, token, allowEnd) {
+  if (allowEnd && token === '-') return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new PatchError(`Invalid array index "${token}"`);
+  }
+
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new PatchError(`Array index ${index} is out of bounds`);
+  }
+  return index;
+}
+
+/**
+ * Find the container holding the last token of a path
+ */
+function resolveParent(root, tokens, pointer) {
+  let parent = root;
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const token = tokens[i];
+    const next = Array.isArray(parent) ? parent[toIndex(parent, token, false)] : parent?.[token];
+    if (next === null || typeof next !== 'object') {
+      throw new PatchError(`Path "${pointer}" does not exist`);
+    }
+    parent = next;
+  }
+  return parent;
+}
+
+/**
+ * Read the value at a path
+ */
+function getValue(root, pointer) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return root;
+
+  const parent = resolveParent(root, tokens, pointer);
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    return parent[toIndex(parent, key, false)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw new PatchError(`Path "${pointer}" does not exist`);
+  }
+  return parent[key];
+}
+
+/**
+ * Replace the contents of the root in place, since the root itself cannot be rebound
+ */
+function replaceRoot(root, value, undo) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value) !== Array.isArray(root)) {
+    throw new PatchError('The root can only be replaced with a value of the same type');
+  }
+
+  const previous = deepClone(toRaw(root));
+  applyOperations(root, diff(root, value));
+  undo.push(() => applyOperations(root, diff(root, previous)));
+}
+
+/**
+ * Insert a value at a path, recording how to revert it
+ */
+function addValue(root, pointer, value, undo) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) {
+    replaceRoot(root, value, undo);
+    return;
+  }
+
+  const parent = resolveParent(root, tokens, pointer);
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    const index = toIndex(parent, key, true);
+    parent.splice(index, 0, value);
+    undo.push(() => parent.splice(index, 1));
+  } else {
+    const hadKey = Object.prototype.hasOwnProperty.call(parent, key);
+    const oldValue = parent[key];
+    parent[key] = value;
+    undo.push(() => {
+      if (hadKey) {
+        parent[key] = oldValue;
+      } else {
+        delete parent[key];
+      }
+    });
+  }
+}
+
+/**
+ * Remove the value at a path, recording how to revert it
+ */
+function removeValue(root, pointer, undo) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) {
+    throw new PatchError('The root cannot be removed');
+  }
+
+  const parent = resolveParent(root, tokens, pointer);
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    const index = toIndex(parent, key, false);
+    const [removed] = parent.splice(index, 1);
+    undo.push(() => parent.splice(index, 0, removed));
+    return removed;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw new PatchError(`Path "${pointer}" does not exist`);
+  }
+
+  const removed = parent[key];
+  delete parent[key];
+  undo.push(() => {
+    parent[key] = removed;
+  });
+  return removed;
+}
+
+/**
+ * Replace an existing value at a path, recording how to revert it
+ */
+function replaceValue(root, pointer, value, undo) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) {
+    replaceRoot(root, value, undo);
+    return;
+  }
+
+  const parent = resolveParent(root, tokens, pointer);
+  let key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    key = toIndex(parent, key, false);
+  } else if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw new PatchError(`Path "${pointer}" does not exist`);
+  }
+
+  const oldValue = parent[key];
+  parent[key] = value;
+  undo.push(() => {
+    parent[key] = oldValue;
+  });
+}
+
+/**
+ * Apply operations without rollback or batching
+ */
+function applyOperations(target, operations, undo = []) {
+  operations.forEach((operation, index) => {
+    const { op, path, from, value } = operation;
+
+    try {
+      switch (op) {
+        case 'add':
+          addValue(target, path, deepClone(value), undo);
+          break;
+
+        case 'remove':
+          removeValue(target, path, undo);
+          break;
+
+        case 'replace':
+          replaceValue(target, path, deepClone(value), undo);
+          break;
+
+        case 'move': {
+          if (path !== from && path.startsWith(`${from}/`)) {
+            throw new PatchError(`Cannot move "${from}" into one of its children`);
+          }
+          const moved = removeValue(target, from, undo);
+          addValue(target, path, moved, undo);
+          break;
+        }
+
+        case 'copy':
+          addValue(target, path, deepClone(toRaw(getValue(target, from))), undo);
+          break;
+
+        case 'test':
+          if (!isEqual(getValue(target, path), value)) {
+            throw new PatchError(`Test failed at "${path}"`);
+          }
+          break;
+
+        default:
+          throw new PatchError(`Unknown operation "${op}"`);
+      }
+    } catch (error) {
+      if (error instanceof PatchError && !error.operation) {
+        error.operation = operation;
+        error.index = index;
+      }
+      throw error;
+    }
+  });
+
+  return undo;
+}
+
+/**
+ * Apply JSON Patch operations to a (reactive) object in place
+ * Only the touched keys trigger effects. If any operation fails, the target is left unchanged.
+ * @param {Object|Array} target - The object to patch
+ * @param {Array} operations - RFC 6902 operations
+ * @returns {Object|Array} - The patched target
+ */
+export function applyPatch(target, operations) {
+  const undo = [];
+
+  batch(() => {
+    try {
+      applyOperations(target, operations, undo);
+    } catch (error) {
+      undo.reverse().forEach(revert => revert());
+      throw error;
+    }
+  });
+
+  return target;
+}
+
+/**
+ * Produce JSON Patch operations that turn a into b
+ * @param {*} a - The source value
+ * @param {*} b - The target value
+ * @param {string} basePath - Pointer prefix for the generated paths
+ * @returns {Array} - RFC 6902 operations
+ */
+export function diff(a, b, basePath = '') {
+  const operations = [];
+  collectDiff(toRaw(a), toRaw(b), basePath, operations);
+  return operations;
+}
+
+/**
+ * Recursively collect operations between two raw values
+ */
+function collectDiff(a, b, path, operations) {
+  if (isEqual(a, b)) return;
+
+  const aIsArray = Array.isArray(a);
+  const bIsArray = Array.isArray(b);
+
+  if (aIsArray && bIsArray) {
+    const common = Math.min(a.length, b.length);
+    for (let i = 0; i < common; i++) {
+      collectDiff(toRaw(a[i]), toRaw(b[i]), `${path}/${i}`, operations);
+    }
+    // Remove from the end so earlier indices stay valid
+    for (let i = a.length - 1; i >= b.length; i--) {
+      operations.push({ op: 'remove', path: `${path}/${i}` });
+    }
+    for (let i = a.length; i < b.length; i++) {
+      operations.push({ op: 'add', path: `${path}/${i}`, value: deepClone(toRaw(b[i])) });
+    }
+    return;
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    Object.keys(a).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(b, key)) {
+        operations.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+      }
+    });
+    Object.keys(b).forEach(key => {
+      const childPath = `${path}/${escapeToken(key)}`;
+      if (!Object.prototype.hasOwnProperty.call(a, key)) {
+        operations.push({ op: 'add', path: childPath, value: deepClone(toRaw(b[key])) });
+      } else {
+        collectDiff(toRaw(a[key]), toRaw(b[key]), childPath, operations);
+      }
+    });
+    return;
+  }
+
+  operations.push({ op: 'replace', path, value: deepClone(b) });
+}
+
+/**
+ * Check for plain (non-array) objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Structural equality for JSON values
+ */
+function isEqual(a, b) {
+  a = toRaw(a);
+  b = toRaw(b);
+
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+export default {
+  applyPatch,
+  diff,
+  PatchError
+};
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { applyPatch, diff, PatchError } from './patch';
+import { reactive, effect } from './reactive';
+
+describe('JSON Patch', () => {
+  describe('applyPatch', () => {
+    it('should apply every RFC 6902 operation', () => {
+      const doc = {
+        user: { name: 'a', 'a/b': 1, 'm~n': 2 },
+        items: [1, 2, 3]
+      };
+
+      applyPatch(doc, [
+        { op: 'add', path: '/user/email', value: 'a@example.com' },
+        { op: 'replace', path: '/user/name', value: 'b' },
+        { op: 'remove', path: '/user/a~1b' },
+        { op: 'test', path: '/user/m~0n', value: 2 },
+        { op: 'add', path: '/items/1', value: 9 },
+        { op: 'add', path: '/items/-', value: 4 },
+        { op: 'move', from: '/items/0', path: '/first' },
+        { op: 'copy', from: '/user', path: '/owner' }
+      ]);
+
+      expect(doc).toEqual({
+        user: { name: 'b', 'm~n': 2, email: 'a@example.com' },
+        items: [9, 2, 3, 4],
+        first: 1,
+        owner: { name: 'b', 'm~n': 2, email: 'a@example.com' }
+      });
+      expect(doc.owner).not.toBe(doc.user);
+    });
+
+    it('should only trigger effects for touched keys', () => {
+      const state = reactive({ a: { value: 1 }, b: { value: 1 } });
+      const runs = { a: 0, b: 0 };
+      effect(() => {
+        state.a.value;
+        runs.a++;
+      });
+      effect(() => {
+        state.b.value;
+        runs.b++;
+      });
+
+      applyPatch(state, [{ op: 'replace', path: '/a/value', value: 2 }]);
+      expect(state.a.value).toBe(2);
+      expect(runs).toEqual({ a: 2, b: 1 });
+    });
+
+    it('should leave the target unchanged when an operation fails', () => {
+      const state = reactive({ count: 1, list: ['x'] });
+
+      let error;
+      try {
+        applyPatch(state, [
+          { op: 'replace', path: '/count', value: 2 },
+          { op: 'add', path: '/list/0', value: 'y' },
+          { op: 'test', path: '/count', value: 99 }
+        ]);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(PatchError);
+      expect(error.index).toBe(2);
+      expect(error.operation.op).toBe('test');
+      expect(state).toEqual({ count: 1, list: ['x'] });
+    });
+
+    it('should reject missing paths and out of bounds indices', () => {
+      expect(() => applyPatch({}, [{ op: 'remove', path: '/missing' }])).toThrow(PatchError);
+      expect(() => applyPatch({ a: [] }, [{ op: 'add', path: '/a/5', value: 1 }])).toThrow(PatchError);
+      expect(() => applyPatch({ a: {} }, [{ op: 'add', path: '/a/b/c', value: 1 }])).toThrow(PatchError);
+    });
+
+    it('should reject paths through prototypes', () => {
+      const state = reactive({ a: {} });
+
+      expect(() => applyPatch(state, [{ op: 'add', path: '/__proto__/polluted', value: 'yes' }])).toThrow(PatchError);
+      expect(() => applyPatch(state, [{ op: 'replace', path: '/__proto__/toString', value: 'x' }])).toThrow(PatchError);
+      expect(() => applyPatch(state, [{ op: 'add', path: '/a/constructor/prototype/polluted', value: 'yes' }])).toThrow(PatchError);
+      expect(() => applyPatch(state, [{ op: 'copy', from: '/__proto__', path: '/b' }])).toThrow(PatchError);
+
+      expect(({}).polluted).toBeUndefined();
+      expect(typeof ({}).toString).toBe('function');
+      expect(state).toEqual({ a: {} });
+    });
+
+    it('should replace the root in place', () => {
+      const state = reactive({ a: 1, b: 2 });
+      applyPatch(state, [{ op: 'replace', path: '', value: { a: 1, c: 3 } }]);
+      expect(state).toEqual({ a: 1, c: 3 });
+    });
+  });
+
+  describe('diff', () => {
+    it('should produce minimal operations for objects', () => {
+      const a = { name: 'a', meta: { tags: ['x'], age: 1 }, gone: true };
+      const b = { name: 'a', meta: { tags: ['x', 'y'], age: 2 }, added: null };
+
+      expect(diff(a, b)).toEqual([
+        { op: 'remove', path: '/gone' },
+        { op: 'add', path: '/meta/tags/1', value: 'y' },
+        { op: 'replace', path: '/meta/age', value: 2 },
+        { op: 'add', path: '/added', value: null }
+      ]);
+    });
+
+    it('should round-trip through applyPatch', () => {
+      const a = { list: [1, 2, 3, 4], nested: { 'a/b': { c: 1 } } };
+      const b = { list: [1, 5], nested: { 'a/b': { c: 2, d: [1] } }, x: 'y' };
+
+      const state = reactive(structuredClone(a));
+      applyPatch(state, diff(a, b));
+      expect(state).toEqual(b);
+    });
+
+    it('should return no operations for equal values', () => {
+      expect(diff(reactive({ a: [1, { b: 2 }] }), { a: [1, { b: 2 }] })).toEqual([]);
+    });
+  });
+});
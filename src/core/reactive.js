@@ -7,9 +7,39 @@
 let activeEffect = null;
 const effectStack = [];
 
+// Track current effect scope collecting new effects
+let activeEffectScope = null;
+
+// Whether reads are currently tracked (paused by array mutators)
+let shouldTrack = true;
+const trackStack = [];
+
 // WeakMap to store dependencies for each reactive object
 const targetMap = new WeakMap();
 
+// Keys tracked by iteration (for...in, Object.keys, collection iterators)
+const ITERATE_KEY = Symbol.for('iterate');
+const MAP_KEY_ITERATE_KEY = Symbol.for('mapKeyIterate');
+
+// Incrementing effect id, used to run queued effects in creation order
+let uid = 0;
+
+// Batching state
+let batchDepth = 0;
+const batchQueue = new Set();
+
+// Computeds marked dirty that still have to check whether their value changed
+const computedChecks = new Set();
+
+// Async job queue (watchers, nextTick)
+const jobQueue = [];
+const postFlushQueue = [];
+let flushIndex = 0;
+let isFlushPending = false;
+let isFlushing = false;
+const resolvedPromise = Promise.resolve();
+let currentFlushPromise = null;
+
 /**
  * Creates a reactive effect that automatically re-runs when dependencies change
  * @param {Function} fn - The effect function
@@ -18,22 +48,39 @@ const targetMap = new WeakMap();
  */
 export function effect(fn, options = {}) {
   const effectFn = () => {
+    // Stopped effects still run, but no longer track
+    if (!effectFn.active) {
+      return fn();
+    }
+
     cleanup(effectFn);
     activeEffect = effectFn;
     effectStack.push(effectFn);
+
+    // Effects always track, even when triggered while tracking is paused
+    trackStack.push(shouldTrack);
+    shouldTrack = true;
+
+    // Effects created while this one runs belong to the same scope
+    const prevScope = activeEffectScope;
+    activeEffectScope = effectFn.scope;
     
     try {
       const result = fn();
       return result;
     } finally {
+      resetTracking();
+      activeEffectScope = prevScope;
       effectStack.pop();
       activeEffect = effectStack[effectStack.length - 1];
     }
   };
 
+  effectFn.id = uid++;
   effectFn.deps = new Set();
   effectFn.options = options;
   effectFn.active = true;
+  effectFn.scope = recordEffectScope(effectFn, options.scope);
 
   if (!options.lazy) {
     effectFn();
@@ -67,13 +114,105 @@ export function stop(effectFn) {
   }
 }
 
+/**
+ * Creates an effect scope that collects effects, computeds and watchers
+ * created inside `scope.run()` so they can be disposed together
+ * @param {boolean} detached - Do not collect this scope into the parent scope
+ * @returns {Object} - The effect scope
+ */
+export function effectScope(detached = false) {
+  const parent = detached ? null : activeEffectScope;
+
+  const scope = {
+    active: true,
+    effects: [],
+    cleanups: [],
+    scopes: [],
+    parent,
+
+    run(fn) {
+      if (!scope.active) {
+        console.warn('MonkeysJS: Cannot run an inactive effect scope');
+        return undefined;
+      }
+
+      const prevScope = activeEffectScope;
+      activeEffectScope = scope;
+      try {
+        return fn();
+      } finally {
+        activeEffectScope = prevScope;
+      }
+    },
+
+    stop() {
+      if (!scope.active) return;
+      scope.active = false;
+
+      scope.effects.forEach(stop);
+      scope.cleanups.forEach(fn => fn());
+      scope.scopes.slice().forEach(child => child.stop());
+
+      scope.effects.length = 0;
+      scope.cleanups.length = 0;
+      scope.scopes.length = 0;
+
+      if (scope.parent) {
+        const index = scope.parent.scopes.indexOf(scope);
+        if (index > -1) scope.parent.scopes.splice(index, 1);
+      }
+    }
+  };
+
+  if (parent) {
+    parent.scopes.push(scope);
+  }
+
+  return scope;
+}
+
+/**
+ * Record an effect in the given (or currently active) scope
+ * @param {Function} effectFn - The effect function
+ * @param {Object} scope - The effect scope
+ * @returns {Object|null} - The scope the effect was recorded in
+ */
+function recordEffectScope(effectFn, scope = activeEffectScope) {
+  if (scope && scope.active) {
+    scope.effects.push(effectFn);
+    return scope;
+  }
+  return null;
+}
+
+/**
+ * Get the currently active effect scope
+ * @returns {Object|null}
+ */
+export function getCurrentScope() {
+  return activeEffectScope;
+}
+
+/**
+ * Register a callback to run when the current effect scope is stopped
+ * @param {Function} fn - The dispose callback
+ */
+export function onScopeDispose(fn) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn);
+  } else {
+    console.warn('MonkeysJS: onScopeDispose() called outside of an effect scope');
+  }
+}
+
 /**
  * Track a dependency
  * @param {Object} target - The reactive object
  * @param {string} key - The property key
+ * @param {string} type - The access type ('get', 'has', 'iterate')
  */
-export function track(target, key) {
-  if (!activeEffect) return;
+export function track(target, key, type = 'get') {
+  if (!activeEffect || !shouldTrack) return;
 
   let depsMap = targetMap.get(target);
   if (!depsMap) {
@@ -83,21 +222,46 @@ export function track(target, key) {
   let dep = depsMap.get(key);
   if (!dep) {
     depsMap.set(key, (dep = new Set()));
+    // Remember where the dep lives so the inspector can report it
+    dep.target = target;
+    dep.key = key;
   }
 
   if (!dep.has(activeEffect)) {
     dep.add(activeEffect);
     activeEffect.deps.add(dep);
+
+    if (activeEffect.options.onTrack) {
+      activeEffect.options.onTrack({ effect: activeEffect, target, key, type });
+    }
   }
 }
 
+/**
+ * Pause dependency tracking
+ */
+function pauseTracking() {
+  trackStack.push(shouldTrack);
+  shouldTrack = false;
+}
+
+/**
+ * Restore dependency tracking to its previous state
+ */
+function resetTracking() {
+  const last = trackStack.pop();
+  shouldTrack = last === undefined ? true : last;
+}
+
 /**
  * Trigger effects for a dependency
  * @param {Object} target - The reactive object
  * @param {string} key - The property key
- * @param {string} type - The trigger type ('set', 'add', 'delete')
+ * @param {string} type - The trigger type ('set', 'add', 'delete', 'clear')
+ * @param {*} newValue - The new value (reported to onTrigger)
+ * @param {*} oldValue - The previous value (reported to onTrigger)
  */
-export function trigger(target, key, type = 'set') {
+export function trigger(target, key, type = 'set', newValue, oldValue) {
   const depsMap = targetMap.get(target);
   if (!depsMap) return;
 
@@ -118,264 +282,1115 @@ export function trigger(target, key, type = 'set') {
     }
   };
 
-  addEffects(depsMap.get(key));
+  // Clearing a collection affects every key
+  if (type === 'clear') {
+    depsMap.forEach(addEffects);
+  } else {
+    addEffects(depsMap.get(key));
+  }
 
   // Handle array length changes
-  if (type === 'add' && Array.isArray(target)) {
+  if (type === 'add' && Array.isArray(target) && isIntegerKey(key)) {
     addEffects(depsMap.get('length'));
   }
 
+  // Handle iteration over objects and collections
+  if (!Array.isArray(target)) {
+    if (type === 'add' || type === 'delete') {
+      addEffects(depsMap.get(ITERATE_KEY));
+      if (isMap(target)) {
+        addEffects(depsMap.get(MAP_KEY_ITERATE_KEY));
+      }
+    } else if (type === 'set' && isMap(target)) {
+      addEffects(depsMap.get(ITERATE_KEY));
+    }
+  }
+
   // Handle array index changes
   if (key === 'length' && Array.isArray(target)) {
     depsMap.forEach((dep, k) => {
-      if (k >= target.length) {
+      if (isIntegerKey(k) && Number(k) >= target.length) {
         addEffects(dep);
       }
     });
   }
 
-  // Run computed effects first
-  computedEffects.forEach(effect => {
-    if (effect.options.scheduler) {
-      effect.options.scheduler(effect);
-    } else {
-      effect();
+  const notify = (effect) => {
+    if (effect.options.onTrigger) {
+      effect.options.onTrigger({ effect, target, key, type, newValue, oldValue });
     }
-  });
+  };
 
-  // Then run regular effects
-  effects.forEach(effect => {
-    if (effect.options.scheduler) {
-      effect.options.scheduler(effect);
-    } else {
-      effect();
-    }
-  });
+  const schedule = () => {
+    // Mark computed effects dirty first so dependents see them as dirty
+    computedEffects.forEach(effect => {
+      notify(effect);
+      runEffect(effect);
+    });
+
+    // Then queue regular effects; an effect reached both directly and through
+    // a computed is queued once
+    effects.forEach(effect => {
+      notify(effect);
+      batchQueue.add(effect);
+    });
+  };
+
+  // A write outside batch() is a batch of its own
+  if (batchDepth > 0) {
+    schedule();
+  } else {
+    batch(schedule);
+  }
 }
 
-// Proxy handlers for reactive objects
-const reactiveHandlers = {
-  get(target, key, receiver) {
-    if (key === '__isReactive') return true;
+/**
+ * Run an effect through its scheduler if it has one
+ * @param {Function} effect - The effect function
+ */
+function runEffect(effect) {
+  if (!effect.active) return;
+
+  if (effect.options.scheduler) {
+    effect.options.scheduler(effect);
+  } else {
+    effect();
+  }
+}
+
+/**
+ * Check if a value has changed, accounting for NaN
+ */
+function hasChanged(value, oldValue) {
+  return !Object.is(value, oldValue);
+}
+
+/**
+ * Get the internal type tag of a value, e.g. 'Object', 'Map'
+ */
+function toRawType(value) {
+  return Object.prototype.toString.call(value).slice(8, -1);
+}
+
+function isMap(value) {
+  return toRawType(value) === 'Map';
+}
+
+function isIntegerKey(key) {
+  return typeof key === 'string' && key !== 'NaN' && key[0] !== '-' && String(parseInt(key, 10)) === key;
+}
+
+function isCollectionType(type) {
+  return type === 'Map' || type === 'Set' || type === 'WeakMap' || type === 'WeakSet';
+}
+
+/**
+ * Only plain objects, arrays and collections are proxied; host objects
+ * such as Date, Blob, WebSocket or Event are returned as-is
+ */
+function isProxyable(target) {
+  const raw = toRaw(target);
+  const type = toRawType(raw);
+  return (type === 'Object' || type === 'Array' || isCollectionType(type)) &&
+    !raw.__skip &&
+    Object.isExtensible(raw);
+}
+
+/**
+ * Create the get trap for a proxy flavour
+ */
+function createGetter(isReadonly = false, shallow = false) {
+  return function get(target, key, receiver) {
+    if (key === '__isReactive') return isReadonly ? isReactive(target) : true;
+    if (key === '__isReadonly') return isReadonly;
+    if (key === '__isShallow') return shallow;
     if (key === '__raw') return target;
 
+    if (Array.isArray(target) && Object.prototype.hasOwnProperty.call(arrayInstrumentations, key)) {
+      return Reflect.get(arrayInstrumentations, key, receiver);
+    }
+
     const result = Reflect.get(target, key, receiver);
     
-    // Track the dependency
-    track(target, key);
+    // Track the dependency (readonly proxies never change)
+    if (!isReadonly) {
+      track(target, key);
+    }
+
+    if (shallow) {
+      return result;
+    }
 
-    // Recursively make nested objects reactive
+    // Recursively wrap nested objects
     if (result !== null && typeof result === 'object') {
-      return reactive(result);
+      return isReadonly ? readonly(result) : reactive(result);
     }
 
     return result;
-  },
+  };
+}
 
-  set(target, key, value, receiver) {
-    const oldValue = target[key];
-    const hadKey = Array.isArray(target) 
+/**
+ * Array methods that need special handling on reactive arrays
+ */
+const arrayInstrumentations = {};
+
+// Identity searches: look for the value as given, then for its raw object
+['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+  arrayInstrumentations[method] = function (...args) {
+    const arr = toRaw(this);
+    for (let i = 0; i < arr.length; i++) {
+      track(arr, String(i));
+    }
+    track(arr, 'length');
+
+    const result = arr[method](...args);
+    if (result === -1 || result === false) {
+      return arr[method](...args.map(toRaw));
+    }
+    return result;
+  };
+});
+
+// Mutators read length and indices internally; those reads must not be
+// tracked, or an effect that pushes into an array would depend on it.
+// Writes are batched so effects run once per call.
+['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'].forEach(method => {
+  arrayInstrumentations[method] = function (...args) {
+    pauseTracking();
+    try {
+      return batch(() => toRaw(this)[method].apply(this, args));
+    } finally {
+      resetTracking();
+    }
+  };
+});
+
+/**
+ * Create the set trap for a proxy flavour
+ */
+function createSetter(shallow = false) {
+  return function set(target, key, value, receiver) {
+    let oldValue = target[key];
+
+    // Store raw objects so the same item is never wrapped twice
+    if (!shallow) {
+      value = toRaw(value);
+      oldValue = toRaw(oldValue);
+    }
+
+    const hadKey = Array.isArray(target) && isIntegerKey(key)
       ? Number(key) < target.length 
       : Object.prototype.hasOwnProperty.call(target, key);
 
     const result = Reflect.set(target, key, value, receiver);
 
+    // Ignore sets that reach this target through the prototype chain
+    if (target !== toRaw(receiver)) {
+      return result;
+    }
+
     if (!hadKey) {
-      trigger(target, key, 'add');
-    } else if (value !== oldValue && (value === value || oldValue === oldValue)) {
-      trigger(target, key, 'set');
+      trigger(target, key, 'add', value);
+    } else if (hasChanged(value, oldValue)) {
+      trigger(target, key, 'set', value, oldValue);
     }
 
     return result;
-  },
+  };
+}
+
+// Proxy handlers for reactive objects
+const reactiveHandlers = {
+  get: createGetter(),
+
+  set: createSetter(),
 
   deleteProperty(target, key) {
     const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+    const oldValue = target[key];
     const result = Reflect.deleteProperty(target, key);
 
     if (hadKey && result) {
-      trigger(target, key, 'delete');
+      trigger(target, key, 'delete', undefined, oldValue);
     }
 
     return result;
   },
 
   has(target, key) {
-    track(target, key);
+    track(target, key, 'has');
     return Reflect.has(target, key);
   },
 
   ownKeys(target) {
-    track(target, Array.isArray(target) ? 'length' : Symbol.for('iterate'));
+    track(target, Array.isArray(target) ? 'length' : ITERATE_KEY, 'iterate');
     return Reflect.ownKeys(target);
   }
 };
 
-// Cache for reactive proxies
-const reactiveMap = new WeakMap();
+const shallowReactiveHandlers = {
+  ...reactiveHandlers,
+  get: createGetter(false, true),
+  set: createSetter(true)
+};
 
-/**
- * Creates a reactive proxy for an object
- * @param {Object} target - The object to make reactive
- * @returns {Proxy} - The reactive proxy
- */
-export function reactive(target) {
-  if (target === null || typeof target !== 'object') {
-    return target;
-  }
+// Proxy handlers for readonly objects
+const readonlyHandlers = {
+  get: createGetter(true),
 
-  // Return existing proxy if already reactive
-  if (target.__isReactive) {
-    return target;
-  }
+  set(target, key) {
+    console.warn(`MonkeysJS: Set operation on key "${String(key)}" failed: target is readonly.`);
+    return true;
+  },
 
-  // Check cache
-  const existingProxy = reactiveMap.get(target);
-  if (existingProxy) {
-    return existingProxy;
+  deleteProperty(target, key) {
+    console.warn(`MonkeysJS: Delete operation on key "${String(key)}" failed: target is readonly.`);
+    return true;
   }
+};
 
-  const proxy = new Proxy(target, reactiveHandlers);
-  reactiveMap.set(target, proxy);
-
-  return proxy;
-}
+const shallowReadonlyHandlers = {
+  ...readonlyHandlers,
+  get: createGetter(true, true)
+};
 
 /**
- * Creates a ref (reactive reference to a single value)
- * @param {*} value - The initial value
- * @returns {Object} - The ref object
+ * Wrap a value read from a readonly collection
  */
-export function ref(value) {
-  const refObject = {
-    __isRef: true,
-    get value() {
-      track(refObject, 'value');
-      return value;
-    },
-    set value(newValue) {
-      if (newValue !== value) {
-        value = newValue;
-        trigger(refObject, 'value');
-      }
-    }
-  };
-  return refObject;
+function toReadonly(value) {
+  return value !== null && typeof value === 'object' ? readonly(value) : value;
 }
 
 /**
- * Unwraps a ref to get its value
- * @param {*} ref - The ref or value
- * @returns {*} - The unwrapped value
+ * Create an iterator method (keys, values, entries, Symbol.iterator)
+ * that tracks iteration and wraps yielded values
  */
-export function unref(ref) {
-  return ref?.__isRef ? ref.value : ref;
-}
+function createIterableMethod(method, isReadonly, shallow) {
+  return function (...args) {
+    const target = this.__raw;
+    const rawTarget = toRaw(target);
+    const targetIsMap = isMap(rawTarget);
+    const isPair = method === 'entries' || (method === Symbol.iterator && targetIsMap);
+    const isKeyOnly = method === 'keys' && targetIsMap;
+    const innerIterator = target[method](...args);
+    const wrap = shallow ? (v => v) : isReadonly ? toReadonly : toReactive;
+
+    if (!isReadonly) {
+      track(rawTarget, isKeyOnly ? MAP_KEY_ITERATE_KEY : ITERATE_KEY, 'iterate');
+    }
 
-/**
- * Checks if a value is a ref
- * @param {*} value - The value to check
- * @returns {boolean}
- */
-export function isRef(value) {
-  return value?.__isRef === true;
+    return {
+      next() {
+        const { value, done } = innerIterator.next();
+        return done
+          ? { value, done }
+          : { value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value), done };
+      },
+      [Symbol.iterator]() {
+        return this;
+      }
+    };
+  };
 }
 
 /**
- * Checks if a value is reactive
- * @param {*} value - The value to check
- * @returns {boolean}
+ * Create a mutation method that warns on readonly collections
  */
-export function isReactive(value) {
-  return value?.__isReactive === true;
+function createReadonlyMethod(type) {
+  return function (key) {
+    const on = type === 'clear' ? '' : ` on key "${String(key)}"`;
+    console.warn(`MonkeysJS: ${type} operation${on} failed: target is readonly.`);
+    if (type === 'delete') return false;
+    return type === 'clear' ? undefined : this;
+  };
 }
 
 /**
- * Gets the raw (non-reactive) object
- * @param {*} observed - The reactive object
- * @returns {*} - The raw object
+ * Create the instrumented methods for Map, Set, WeakMap and WeakSet
  */
-export function toRaw(observed) {
-  return observed?.__raw || observed;
-}
+function createInstrumentations(isReadonly, shallow) {
+  const wrap = shallow ? (v => v) : isReadonly ? toReadonly : toReactive;
+
+  const instrumentations = {
+    get(key) {
+      const target = this.__raw;
+      const rawTarget = toRaw(target);
+      const rawKey = toRaw(key);
+
+      if (!isReadonly) {
+        if (hasChanged(key, rawKey)) track(rawTarget, key);
+        track(rawTarget, rawKey);
+      }
 
-/**
- * Creates a computed reactive value
- * @param {Function|Object} getterOrOptions - Getter function or options object
- * @returns {Object} - The computed ref
- */
-export function computed(getterOrOptions) {
-  let getter, setter;
+      if (rawTarget.has(key)) return wrap(target.get(key));
+      if (rawTarget.has(rawKey)) return wrap(target.get(rawKey));
 
-  if (typeof getterOrOptions === 'function') {
-    getter = getterOrOptions;
-    setter = () => {
-      console.warn('Computed property is readonly');
-    };
-  } else {
-    getter = getterOrOptions.get;
-    setter = getterOrOptions.set;
-  }
+      // Keep a readonly view of a reactive collection tracking the key
+      if (target !== rawTarget) target.get(key);
+      return undefined;
+    },
 
-  let value;
-  let dirty = true;
+    get size() {
+      const target = this.__raw;
+      if (!isReadonly) track(toRaw(target), ITERATE_KEY, 'iterate');
+      return Reflect.get(target, 'size', target);
+    },
 
-  const effectFn = effect(getter, {
-    lazy: true,
-    computed: true,
-    scheduler: () => {
-      if (!dirty) {
-        dirty = true;
-        trigger(computedRef, 'value');
-      }
-    }
-  });
+    has(key) {
+      const target = this.__raw;
+      const rawTarget = toRaw(target);
+      const rawKey = toRaw(key);
 
-  const computedRef = {
-    __isRef: true,
-    __isComputed: true,
-    get value() {
-      if (dirty) {
-        value = effectFn();
-        dirty = false;
+      if (!isReadonly) {
+        if (hasChanged(key, rawKey)) track(rawTarget, key, 'has');
+        track(rawTarget, rawKey, 'has');
       }
-      track(computedRef, 'value');
-      return value;
+
+      return key === rawKey
+        ? target.has(key)
+        : target.has(key) || target.has(rawKey);
     },
-    set value(newValue) {
-      setter(newValue);
+
+    forEach(callback, thisArg) {
+      const observed = this;
+      const target = observed.__raw;
+
+      if (!isReadonly) track(toRaw(target), ITERATE_KEY, 'iterate');
+
+      return target.forEach((value, key) => {
+        return callback.call(thisArg, wrap(value), wrap(key), observed);
+      });
     }
   };
 
-  return computedRef;
-}
+  if (isReadonly) {
+    instrumentations.add = createReadonlyMethod('add');
+    instrumentations.set = createReadonlyMethod('set');
+    instrumentations.delete = createReadonlyMethod('delete');
+    instrumentations.clear = createReadonlyMethod('clear');
+  } else {
+    Object.assign(instrumentations, {
+      add(value) {
+        if (!shallow) value = toRaw(value);
+        const target = toRaw(this);
+
+        if (!target.has(value)) {
+          target.add(value);
+          trigger(target, value, 'add', value);
+        }
+        return this;
+      },
+
+      set(key, value) {
+        if (!shallow) value = toRaw(value);
+        const target = toRaw(this);
+
+        let hadKey = target.has(key);
+        if (!hadKey) {
+          key = toRaw(key);
+          hadKey = target.has(key);
+        }
+
+        const oldValue = target.get(key);
+        target.set(key, value);
+
+        if (!hadKey) {
+          trigger(target, key, 'add', value);
+        } else if (hasChanged(value, oldValue)) {
+          trigger(target, key, 'set', value, oldValue);
+        }
+        return this;
+      },
+
+      delete(key) {
+        const target = toRaw(this);
+
+        let hadKey = target.has(key);
+        if (!hadKey) {
+          key = toRaw(key);
+          hadKey = target.has(key);
+        }
+
+        const oldValue = target.get ? target.get(key) : undefined;
+        const result = target.delete(key);
+        if (hadKey) {
+          trigger(target, key, 'delete', undefined, oldValue);
+        }
+        return result;
+      },
+
+      clear() {
+        const target = toRaw(this);
+        const hadItems = target.size !== 0;
+        const result = target.clear();
+
+        if (hadItems) {
+          trigger(target, undefined, 'clear');
+        }
+        return result;
+      }
+    });
+  }
+
+  ['keys', 'values', 'entries', Symbol.iterator].forEach(method => {
+    instrumentations[method] = createIterableMethod(method, isReadonly, shallow);
+  });
+
+  return instrumentations;
+}
+
+/**
+ * Create proxy handlers for collections; only a get trap is needed
+ * because every operation goes through a method or the size getter
+ */
+function createCollectionHandlers(isReadonly = false, shallow = false) {
+  const instrumentations = createInstrumentations(isReadonly, shallow);
+
+  return {
+    get(target, key, receiver) {
+      if (key === '__isReactive') return isReadonly ? isReactive(target) : true;
+      if (key === '__isReadonly') return isReadonly;
+      if (key === '__isShallow') return shallow;
+      if (key === '__raw') return target;
+
+      const source = Object.prototype.hasOwnProperty.call(instrumentations, key) && key in target
+        ? instrumentations
+        : target;
+
+      return Reflect.get(source, key, receiver);
+    }
+  };
+}
+
+const collectionHandlers = createCollectionHandlers();
+const shallowCollectionHandlers = createCollectionHandlers(false, true);
+const readonlyCollectionHandlers = createCollectionHandlers(true);
+const shallowReadonlyCollectionHandlers = createCollectionHandlers(true, true);
+
+// Caches for each proxy flavour
+const reactiveMap = new WeakMap();
+const shallowReactiveMap = new WeakMap();
+const readonlyMap = new WeakMap();
+const shallowReadonlyMap = new WeakMap();
+
+/**
+ * Create (or reuse) a proxy for a target
+ * @param {Object} target - The object to wrap
+ * @param {boolean} isReadonly - Whether the proxy is readonly
+ * @param {Object} baseHandlers - The proxy handlers for objects and arrays
+ * @param {Object} collectionHandlers - The proxy handlers for collections
+ * @param {WeakMap} proxyMap - The proxy cache
+ * @returns {Proxy}
+ */
+function createReactiveObject(target, isReadonly, baseHandlers, collectionHandlers, proxyMap) {
+  if (target === null || typeof target !== 'object') {
+    return target;
+  }
+
+  // Already a proxy: return as-is, unless making a reactive object readonly
+  if (target.__raw && !(isReadonly && target.__isReactive)) {
+    return target;
+  }
+
+  // Check cache
+  const existingProxy = proxyMap.get(target);
+  if (existingProxy) {
+    return existingProxy;
+  }
+
+  if (!isProxyable(target)) {
+    return target;
+  }
+
+  const handlers = isCollectionType(toRawType(toRaw(target))) ? collectionHandlers : baseHandlers;
+  const proxy = new Proxy(target, handlers);
+  proxyMap.set(target, proxy);
+
+  return proxy;
+}
+
+/**
+ * Creates a reactive proxy for an object
+ * @param {Object} target - The object to make reactive
+ * @returns {Proxy} - The reactive proxy
+ */
+export function reactive(target) {
+  // Readonly proxies stay readonly
+  if (target?.__isReadonly) {
+    return target;
+  }
+  return createReactiveObject(target, false, reactiveHandlers, collectionHandlers, reactiveMap);
+}
+
+/**
+ * Creates a reactive proxy that only tracks root-level properties
+ * @param {Object} target - The object to make reactive
+ * @returns {Proxy} - The shallow reactive proxy
+ */
+export function shallowReactive(target) {
+  return createReactiveObject(target, false, shallowReactiveHandlers, shallowCollectionHandlers, shallowReactiveMap);
+}
+
+/**
+ * Creates a deep readonly proxy that warns on mutation
+ * @param {Object} target - The object (plain or reactive) to wrap
+ * @returns {Proxy} - The readonly proxy
+ */
+export function readonly(target) {
+  return createReactiveObject(target, true, readonlyHandlers, readonlyCollectionHandlers, readonlyMap);
+}
+
+/**
+ * Creates a readonly proxy where only root-level properties are readonly
+ * @param {Object} target - The object to wrap
+ * @returns {Proxy} - The shallow readonly proxy
+ */
+export function shallowReadonly(target) {
+  return createReactiveObject(target, true, shallowReadonlyHandlers, shallowReadonlyCollectionHandlers, shallowReadonlyMap);
+}
+
+/**
+ * Mark an object so it is never converted to a proxy
+ * @param {Object} value - The object to opt out
+ * @returns {Object} - The same object
+ */
+export function markRaw(value) {
+  if (value !== null && typeof value === 'object' && Object.isExtensible(value)) {
+    Object.defineProperty(value, '__skip', {
+      value: true,
+      configurable: true,
+      enumerable: false
+    });
+  }
+  return value;
+}
+
+/**
+ * Convert a value to reactive if it is an object
+ */
+function toReactive(value) {
+  return value !== null && typeof value === 'object' ? reactive(value) : value;
+}
+
+/**
+ * Create a ref; shallow refs are watched by identity and can be forced with triggerRef()
+ */
+function createRef(rawValue, shallow) {
+  if (isRef(rawValue)) {
+    return rawValue;
+  }
+
+  let value = rawValue;
+
+  const refObject = {
+    __isRef: true,
+    __isShallow: shallow,
+    get value() {
+      track(refObject, 'value');
+      return value;
+    },
+    set value(newValue) {
+      if (hasChanged(newValue, value)) {
+        const oldValue = value;
+        value = newValue;
+        trigger(refObject, 'value', 'set', newValue, oldValue);
+      }
+    }
+  };
+  return refObject;
+}
+
+/**
+ * Creates a ref (reactive reference to a single value)
+ * The value is stored as given; pass reactive() objects to track nested changes.
+ * @param {*} value - The initial value
+ * @returns {Object} - The ref object
+ */
+export function ref(value) {
+  return createRef(value, false);
+}
+
+/**
+ * Creates a ref that only tracks replacement of its value
+ * @param {*} value - The initial value
+ * @returns {Object} - The shallow ref object
+ */
+export function shallowRef(value) {
+  return createRef(value, true);
+}
+
+/**
+ * Force effects depending on a shallow ref to run
+ * @param {Object} ref - The ref to trigger
+ */
+export function triggerRef(ref) {
+  trigger(ref, 'value');
+}
+
+/**
+ * Unwraps a ref to get its value
+ * @param {*} ref - The ref or value
+ * @returns {*} - The unwrapped value
+ */
+export function unref(ref) {
+  return ref?.__isRef ? ref.value : ref;
+}
+
+/**
+ * Creates a ref linked to a property of a reactive object
+ * @param {Object|Function} source - Reactive object, getter or value
+ * @param {string} key - The property to link
+ * @param {*} defaultValue - Returned when the property is undefined
+ * @returns {Object} - The ref object
+ */
+export function toRef(source, key, defaultValue) {
+  if (isRef(source)) {
+    return source;
+  }
+
+  if (typeof source === 'function') {
+    return {
+      __isRef: true,
+      __isReadonly: true,
+      get value() {
+        return source();
+      },
+      set value(newValue) {
+        console.warn('MonkeysJS: Write operation failed: getter ref is readonly.');
+      }
+    };
+  }
+
+  if (source !== null && typeof source === 'object' && arguments.length > 1) {
+    const existing = toRaw(source)[key];
+    if (isRef(existing)) {
+      return existing;
+    }
+
+    return {
+      __isRef: true,
+      get value() {
+        const value = source[key];
+        return value === undefined ? defaultValue : value;
+      },
+      set value(newValue) {
+        source[key] = newValue;
+      }
+    };
+  }
+
+  return ref(source);
+}
+
+/**
+ * Converts every property of a reactive object to a linked ref
+ * Useful for destructuring without losing reactivity.
+ * @param {Object} object - The reactive object
+ * @returns {Object} - Plain object (or array) of refs
+ */
+export function toRefs(object) {
+  if (!isProxy(object)) {
+    console.warn('MonkeysJS: toRefs() expects a reactive object but received a plain one.');
+  }
+
+  const result = Array.isArray(object) ? new Array(object.length) : {};
+  for (const key in object) {
+    result[key] = toRef(object, key);
+  }
+  return result;
+}
+
+/**
+ * Creates a ref with explicit control over tracking and triggering
+ * @param {Function} factory - (track, trigger) => { get, set }
+ * @returns {Object} - The ref object
+ */
+export function customRef(factory) {
+  const refObject = { __isRef: true };
+  const { get, set } = factory(
+    () => track(refObject, 'value'),
+    () => trigger(refObject, 'value')
+  );
+
+  Object.defineProperty(refObject, 'value', {
+    get,
+    set,
+    enumerable: true
+  });
+
+  return refObject;
+}
+
+const proxyRefsMap = new WeakMap();
+
+/**
+ * Returns a view of an object whose ref properties are unwrapped on access
+ * Assigning a plain value to a ref property updates the ref.
+ * @param {Object} object - Object containing refs
+ * @returns {Proxy}
+ */
+export function proxyRefs(object) {
+  const existing = proxyRefsMap.get(object);
+  if (existing) {
+    return existing;
+  }
+
+  const proxy = new Proxy(object, {
+    get(target, key, receiver) {
+      return unref(Reflect.get(target, key, receiver));
+    },
+    set(target, key, value, receiver) {
+      const oldValue = toRaw(target)[key];
+      if (isRef(oldValue) && !isRef(value)) {
+        oldValue.value = value;
+        return true;
+      }
+      return Reflect.set(target, key, value, receiver);
+    }
+  });
+
+  proxyRefsMap.set(object, proxy);
+  return proxy;
+}
+
+/**
+ * Checks if a value is a ref
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+export function isRef(value) {
+  return value?.__isRef === true;
+}
+
+/**
+ * Checks if a value is reactive
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+export function isReactive(value) {
+  return value?.__isReactive === true;
+}
+
+/**
+ * Checks if a value is a readonly proxy
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+export function isReadonly(value) {
+  return value?.__isReadonly === true;
+}
+
+/**
+ * Checks if a value is a shallow proxy or shallow ref
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+export function isShallow(value) {
+  return value?.__isShallow === true;
+}
+
+/**
+ * Checks if a value is a proxy created by reactive() or readonly()
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+export function isProxy(value) {
+  return isReactive(value) || isReadonly(value);
+}
+
+/**
+ * Gets the raw (non-reactive) object
+ * @param {*} observed - The reactive object
+ * @returns {*} - The raw object
+ */
+export function toRaw(observed) {
+  const raw = observed?.__raw;
+  return raw ? toRaw(raw) : observed;
+}
+
+/**
+ * Creates a computed reactive value
+ * The getter receives the previous value. Dependents are only notified
+ * when the result changes according to `equals` (Object.is by default).
+ * Errors thrown by the getter are cached and rethrown to readers until
+ * a dependency changes.
+ * @param {Function|Object} getterOrOptions - Getter function or { get, set, equals } object
+ * @param {Object} options - { equals, onTrack, onTrigger }
+ * @returns {Object} - The computed ref
+ */
+export function computed(getterOrOptions, options = {}) {
+  let getter, setter;
+
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions;
+    setter = () => {
+      console.warn('Computed property is readonly');
+    };
+  } else {
+    getter = getterOrOptions.get;
+    setter = getterOrOptions.set;
+  }
+
+  const equals = options.equals || getterOrOptions.equals || Object.is;
+
+  let value;
+  let error = null;
+  let hasError = false;
+  let dirty = true;
+  // What subscribers last saw while a change check is queued, otherwise null
+  let seen = null;
+
+  const effectFn = effect(() => getter(value), {
+    lazy: true,
+    computed: true,
+    onTrack: options.onTrack,
+    onTrigger: options.onTrigger,
+    scheduler: () => {
+      dirty = true;
+
+      // Nobody is listening, or a check is already queued: recompute on next read or flush
+      const dep = targetMap.get(computedRef)?.get('value');
+      if (!dep || dep.size === 0 || seen) {
+        return;
+      }
+
+      // Remember what subscribers last saw; the check runs once the batch (or write) is done
+      seen = { value, error, hasError };
+      computedChecks.add(check);
+    }
+  });
+
+  /**
+   * Recompute if still dirty and notify subscribers when the result differs from what they saw
+   */
+  function check() {
+    const previous = seen;
+    seen = null;
+    if (!effectFn.active || !previous) return;
+
+    if (dirty) {
+      recompute();
+    }
+
+    const changed = hasError || previous.hasError
+      ? hasError !== previous.hasError || error !== previous.error
+      : !equals(value, previous.value);
+
+    if (changed) {
+      trigger(computedRef, 'value', 'set', value, previous.value);
+    }
+  }
+  check.id = effectFn.id;
+
+  /**
+   * Re-run the getter, caching its value or error
+   */
+  function recompute() {
+    try {
+      value = effectFn();
+      error = null;
+      hasError = false;
+    } catch (err) {
+      error = err;
+      hasError = true;
+    }
+
+    dirty = false;
+  }
+
+  const computedRef = {
+    __isRef: true,
+    __isComputed: true,
+    effect: effectFn,
+    get value() {
+      if (dirty) {
+        recompute();
+      }
+      track(computedRef, 'value');
+      if (hasError) {
+        throw error;
+      }
+      return value;
+    },
+    set value(newValue) {
+      setter(newValue);
+    }
+  };
+
+  return computedRef;
+}
+
+/**
+ * Creates a computed value from an async getter
+ * Dependencies read before the first `await` are tracked; when they change
+ * the pending evaluation is aborted through the AbortSignal passed to the
+ * getter and a new one starts. Results of stale evaluations are ignored.
+ * @param {Function} getter - (signal) => Promise of the value
+ * @param {*} initial - Value until the first evaluation resolves
+ * @param {Object} options - { lazy, onError, evaluating }
+ * @returns {Object} - Readonly ref with an `evaluating` ref
+ */
+export function computedAsync(getter, initial, options = {}) {
+  const {
+    lazy = false,
+    onError = (error) => console.error('MonkeysJS: Error in computedAsync:', error),
+    evaluating = ref(false)
+  } = options;
+
+  const current = shallowRef(initial);
+  let started = false;
+  let counter = 0;
+  let controller = null;
+
+  const cancel = () => {
+    if (controller) {
+      controller.abort();
+      controller = null;
+    }
+  };
+
+  const runner = effect(() => {
+    const id = ++counter;
+    cancel();
+    const activeController = new AbortController();
+    controller = activeController;
+
+    let promise;
+    try {
+      promise = Promise.resolve(getter(activeController.signal));
+    } catch (error) {
+      promise = Promise.reject(error);
+    }
+
+    evaluating.value = true;
+
+    promise
+      .then((result) => {
+        if (id === counter) {
+          current.value = result;
+        }
+      })
+      .catch((error) => {
+        if (id === counter && !activeController.signal.aborted) {
+          onError(error);
+        }
+      })
+      .finally(() => {
+        if (id === counter) {
+          evaluating.value = false;
+          controller = null;
+        }
+      });
+  }, { lazy: true });
+
+  const start = () => {
+    if (!started) {
+      started = true;
+      runner();
+    }
+  };
+
+  if (getCurrentScope()) {
+    onScopeDispose(cancel);
+  }
+
+  if (!lazy) {
+    start();
+  }
+
+  return {
+    __isRef: true,
+    evaluating,
+    get value() {
+      start();
+      return current.value;
+    },
+    set value(newValue) {
+      console.warn('MonkeysJS: computedAsync value is readonly');
+    }
+  };
+}
+
+/**
+ * Watch a reactive source and run a callback when it changes
+ * @param {Function|Object|Array} source - Getter, ref, reactive object or an array of these
+ * @param {Function} callback - (newValue, oldValue, onCleanup) => void
+ * @param {Object} options - { immediate, deep, once, flush, onTrack, onTrigger }
+ * @returns {Function} - Stop handle with stop(), pause() and resume()
+ */
+export function watch(source, callback, options = {}) {
+  return doWatch(source, callback, options);
+}
+
+/**
+ * Run a function immediately and re-run it when its dependencies change
+ * @param {Function} fn - (onCleanup) => void
+ * @param {Object} options - { flush, onTrack, onTrigger }
+ * @returns {Function} - Stop handle with stop(), pause() and resume()
+ */
+export function watchEffect(fn, options = {}) {
+  return doWatch(fn, null, options);
+}
+
+/**
+ * Like watchEffect(), but runs after pre-flush watchers
+ * @param {Function} fn - (onCleanup) => void
+ * @param {Object} options - { onTrack, onTrigger }
+ * @returns {Function} - Stop handle with stop(), pause() and resume()
+ */
+export function watchPostEffect(fn, options = {}) {
+  return doWatch(fn, null, { ...options, flush: 'post' });
+}
+
+/**
+ * Shared implementation of watch() and watchEffect()
+ */
+function doWatch(source, callback, options = {}) {
+  const { immediate, deep, once, flush } = options;
 
-/**
- * Watch a reactive source and run a callback when it changes
- * @param {Function|Object} source - The source to watch
- * @param {Function} callback - The callback function
- * @param {Object} options - Watch options
- * @returns {Function} - Stop function
- */
-export function watch(source, callback, options = {}) {
   let getter;
-  let oldValue;
   let cleanup;
+  let forceTrigger = false;
+  let isMultiSource = false;
 
   const onCleanup = (fn) => {
     cleanup = fn;
   };
 
-  if (typeof source === 'function') {
+  const runCleanup = () => {
+    if (cleanup) {
+      const fn = cleanup;
+      cleanup = undefined;
+      fn();
+    }
+  };
+
+  // Reactive sources are watched deeply unless deep is explicitly false
+  const reactiveDepth = () => {
+    if (deep === false) return 1;
+    return typeof deep === 'number' ? deep : Infinity;
+  };
+
+  if (!callback) {
+    getter = () => {
+      runCleanup();
+      return source(onCleanup);
+    };
+  } else if (typeof source === 'function') {
     getter = source;
   } else if (isRef(source)) {
     getter = () => source.value;
+    forceTrigger = isShallow(source);
   } else if (isReactive(source)) {
-    getter = () => traverse(source);
+    getter = () => traverse(source, reactiveDepth());
+    forceTrigger = true;
   } else if (Array.isArray(source)) {
+    isMultiSource = true;
+    forceTrigger = source.some(s => isReactive(s) || isShallow(s));
     getter = () => source.map(s => {
       if (isRef(s)) return s.value;
-      if (isReactive(s)) return traverse(s);
+      if (isReactive(s)) return traverse(s, reactiveDepth());
       if (typeof s === 'function') return s();
       return s;
     });
@@ -383,95 +1398,402 @@ export function watch(source, callback, options = {}) {
     getter = () => source;
   }
 
+  const depth = deep === true ? Infinity : (typeof deep === 'number' ? deep : 0);
+  if (callback && depth > 0) {
+    const baseGetter = getter;
+    getter = () => traverse(baseGetter(), depth);
+  }
+
+  // Watches with an explicit deep option keep a snapshot so old and new values can be diffed
+  const isDeep = callback && depth > 0;
+  const snapshot = (value) => {
+    if (!isDeep) return value;
+    return isMultiSource
+      ? value.map(v => cloneForWatch(v, depth))
+      : cloneForWatch(value, depth);
+  };
+
+  let oldValue = isMultiSource ? source.map(() => undefined) : undefined;
+  let paused = false;
+  let pendingWhilePaused = false;
+
   const job = () => {
-    if (cleanup) {
-      cleanup();
+    if (!effectFn.active) return;
+
+    if (!callback) {
+      effectFn();
+      return;
     }
+
     const newValue = effectFn();
-    if (options.deep || newValue !== oldValue || 
-        (typeof newValue === 'object' && newValue !== null)) {
+    const changed = isMultiSource
+      ? newValue.some((v, i) => hasChanged(v, oldValue[i]))
+      : hasChanged(newValue, oldValue);
+
+    if (isDeep || forceTrigger || changed) {
+      runCleanup();
       callback(newValue, oldValue, onCleanup);
-      oldValue = newValue;
+      oldValue = snapshot(newValue);
+
+      if (once) {
+        handle();
+      }
+    }
+  };
+
+  const schedule = () => {
+    if (flush === 'sync') {
+      job();
+    } else if (flush === 'post') {
+      queuePostFlushCb(job);
+    } else {
+      queueJob(job);
     }
   };
 
   const effectFn = effect(getter, {
     lazy: true,
+    onTrack: options.onTrack,
+    onTrigger: options.onTrigger,
+    onStop: runCleanup,
     scheduler: () => {
-      if (options.flush === 'sync') {
-        job();
-      } else if (options.flush === 'post') {
-        Promise.resolve().then(() => queueMicrotask(job));
+      if (paused) {
+        pendingWhilePaused = true;
       } else {
-        queueMicrotask(job);
+        schedule();
       }
     }
   });
+  job.id = effectFn.id;
+
+  const handle = () => stop(effectFn);
+  handle.stop = handle;
+  handle.pause = () => {
+    paused = true;
+  };
+  handle.resume = () => {
+    if (!paused) return;
+    paused = false;
+    if (pendingWhilePaused) {
+      pendingWhilePaused = false;
+      schedule();
+    }
+  };
 
-  if (options.immediate) {
+  if (!callback) {
+    if (flush === 'post') {
+      queuePostFlushCb(job);
+    } else {
+      effectFn();
+    }
+  } else if (immediate) {
     job();
   } else {
-    oldValue = effectFn();
+    oldValue = snapshot(effectFn());
   }
 
-  return () => {
-    stop(effectFn);
-    if (cleanup) cleanup();
-  };
+  return handle;
 }
 
 /**
  * Traverse an object to track all properties
  * @param {*} value - The value to traverse
+ * @param {number} depth - How many levels to traverse
  * @param {Set} seen - Set of seen objects (for circular reference detection)
  * @returns {*}
  */
-function traverse(value, seen = new Set()) {
-  if (value === null || typeof value !== 'object' || seen.has(value)) {
+export function traverse(value, depth = Infinity, seen = new Set()) {
+  if (depth <= 0 || value === null || typeof value !== 'object' || value.__skip || seen.has(value)) {
     return value;
   }
 
   seen.add(value);
-
-  if (Array.isArray(value)) {
-    value.forEach(v => traverse(v, seen));
+  depth--;
+
+  if (isRef(value)) {
+    traverse(value.value, depth, seen);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => traverse(v, depth, seen));
+  } else if (value instanceof Map || value instanceof Set) {
+    value.forEach(v => traverse(v, depth, seen));
   } else {
-    Object.keys(value).forEach(key => traverse(value[key], seen));
+    Object.keys(value).forEach(key => traverse(value[key], depth, seen));
   }
 
   return value;
 }
 
+/**
+ * Copy plain objects, arrays and collections down to a depth for a watcher's old value
+ * markRaw() values and other objects (class instances, Dates, DOM nodes) are kept by reference.
+ */
+function cloneForWatch(value, depth, seen = new Map()) {
+  if (depth <= 0 || value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const raw = toRaw(value);
+  if (raw.__skip) return raw;
+  if (seen.has(raw)) return seen.get(raw);
+
+  const type = toRawType(raw);
+  depth--;
+
+  if (type === 'Array') {
+    const copy = [];
+    seen.set(raw, copy);
+    raw.forEach(item => copy.push(cloneForWatch(item, depth, seen)));
+    return copy;
+  }
+
+  if (type === 'Map') {
+    const copy = new Map();
+    seen.set(raw, copy);
+    raw.forEach((item, key) => copy.set(key, cloneForWatch(item, depth, seen)));
+    return copy;
+  }
+
+  if (type === 'Set') {
+    const copy = new Set();
+    seen.set(raw, copy);
+    raw.forEach(item => copy.add(cloneForWatch(item, depth, seen)));
+    return copy;
+  }
+
+  const proto = Object.getPrototypeOf(raw);
+  if (type !== 'Object' || (proto !== Object.prototype && proto !== null)) {
+    return raw;
+  }
+
+  const copy = {};
+  seen.set(raw, copy);
+  Object.keys(raw).forEach(key => {
+    copy[key] = cloneForWatch(raw[key], depth, seen);
+  });
+  return copy;
+}
+
+/**
+ * Inspect which effects depend on which keys of a reactive object or ref
+ * @param {Object} target - A reactive proxy, ref or computed
+ * @returns {Array<{ key: *, effects: Function[] }>}
+ */
+export function getDependencies(target) {
+  const depsMap = targetMap.get(toRaw(target));
+  if (!depsMap) return [];
+
+  return Array.from(depsMap)
+    .filter(([, dep]) => dep.size > 0)
+    .map(([key, dep]) => ({ key, effects: Array.from(dep) }));
+}
+
+/**
+ * Inspect which targets and keys an effect currently depends on
+ * @param {Function|Object} effectFn - An effect runner or computed ref
+ * @returns {Array<{ target: Object, key: * }>}
+ */
+export function getEffectDependencies(effectFn) {
+  const runner = effectFn?.__isComputed ? effectFn.effect : effectFn;
+  if (!runner?.deps) return [];
+
+  return Array.from(runner.deps, dep => ({ target: dep.target, key: dep.key }));
+}
+
 /**
  * Batch multiple reactive updates
+ * Effects triggered inside the batch are deduplicated and run once,
+ * in creation order, when the outermost batch completes.
  * @param {Function} fn - Function containing updates
+ * @returns {*} - The return value of fn
  */
-let isBatching = false;
-const batchQueue = new Set();
-
 export function batch(fn) {
-  isBatching = true;
+  batchDepth++;
   try {
-    fn();
+    return fn();
   } finally {
-    isBatching = false;
-    batchQueue.forEach(effect => effect());
+    if (--batchDepth === 0) {
+      flushBatch();
+    }
+  }
+}
+
+/**
+ * Run effects queued during a batch
+ * Every queued effect runs even if one throws; the first error is rethrown afterwards.
+ */
+function flushBatch() {
+  let firstError;
+  let failed = false;
+
+  while (computedChecks.size > 0 || batchQueue.size > 0) {
+    // Computeds that changed queue their dependents instead of running them
+    batchDepth++;
+    try {
+      flushComputedChecks();
+    } catch (error) {
+      if (!failed) {
+        failed = true;
+        firstError = error;
+      }
+    } finally {
+      batchDepth--;
+    }
+
+    const queued = Array.from(batchQueue).sort((a, b) => a.id - b.id);
     batchQueue.clear();
+    queued.forEach(queuedEffect => {
+      try {
+        runEffect(queuedEffect);
+      } catch (error) {
+        if (!failed) {
+          failed = true;
+          firstError = error;
+        }
+      }
+    });
+  }
+
+  if (failed) {
+    throw firstError;
+  }
+}
+
+/**
+ * Let dirty computeds recompute and notify their subscribers, in creation order
+ * Checks queued while flushing (by computeds depending on computeds) run in the same pass.
+ */
+function flushComputedChecks() {
+  while (computedChecks.size > 0) {
+    let next = null;
+    computedChecks.forEach(check => {
+      if (!next || check.id < next.id) next = check;
+    });
+    computedChecks.delete(next);
+    next();
+  }
+}
+
+/**
+ * Queue a job to run before the next tick
+ * @param {Function} job - The job function
+ */
+function queueJob(job) {
+  if (!jobQueue.includes(job, isFlushing ? flushIndex + 1 : flushIndex)) {
+    jobQueue.push(job);
+    queueFlush();
+  }
+}
+
+/**
+ * Queue a callback to run after all pending jobs
+ * @param {Function} cb - The callback function
+ */
+function queuePostFlushCb(cb) {
+  if (!postFlushQueue.includes(cb)) {
+    postFlushQueue.push(cb);
+    queueFlush();
+  }
+}
+
+/**
+ * Schedule a flush of the job queues
+ */
+function queueFlush() {
+  if (!isFlushPending && !isFlushing) {
+    isFlushPending = true;
+    currentFlushPromise = resolvedPromise.then(flushJobs);
+  }
+}
+
+/**
+ * Run a scheduled job, reporting errors without aborting the flush
+ * @param {Function} job - The job function
+ */
+function callJob(job) {
+  try {
+    job();
+  } catch (error) {
+    console.error('MonkeysJS: Error in scheduled job:', error);
+  }
+}
+
+/**
+ * Compare jobs by the id of the effect that queued them
+ */
+function compareJobs(a, b) {
+  return (a.id ?? Infinity) - (b.id ?? Infinity);
+}
+
+/**
+ * Flush queued jobs in creation order, then post-flush callbacks
+ */
+function flushJobs() {
+  isFlushPending = false;
+  isFlushing = true;
+
+  jobQueue.sort(compareJobs);
+  for (flushIndex = 0; flushIndex < jobQueue.length; flushIndex++) {
+    callJob(jobQueue[flushIndex]);
+  }
+  jobQueue.length = 0;
+  flushIndex = 0;
+
+  postFlushQueue.splice(0).sort(compareJobs).forEach(callJob);
+
+  isFlushing = false;
+
+  // Jobs queued by post-flush callbacks run in the same tick
+  if (jobQueue.length > 0 || postFlushQueue.length > 0) {
+    flushJobs();
+  } else {
+    currentFlushPromise = null;
   }
 }
 
+/**
+ * Wait for pending reactive jobs to flush
+ * @param {Function} [fn] - Optional callback to run after the flush
+ * @returns {Promise}
+ */
+export function nextTick(fn) {
+  const promise = currentFlushPromise || resolvedPromise;
+  return fn ? promise.then(fn) : promise;
+}
+
 export default {
   reactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly,
+  markRaw,
   ref,
+  shallowRef,
+  triggerRef,
   unref,
+  toRef,
+  toRefs,
+  customRef,
+  proxyRefs,
   isRef,
   isReactive,
+  isReadonly,
+  isShallow,
+  isProxy,
   toRaw,
   computed,
+  computedAsync,
   watch,
+  watchEffect,
+  watchPostEffect,
   effect,
   stop,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose,
   batch,
+  nextTick,
   track,
-  trigger
+  trigger,
+  getDependencies,
+  getEffectDependencies
 };
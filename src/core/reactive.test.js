@@ -0,0 +1,984 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  reactive, ref, computed, computedAsync, watch, watchEffect, watchPostEffect, effect, batch, nextTick,
+  effectScope, getCurrentScope, onScopeDispose,
+  shallowReactive, shallowRef, triggerRef, readonly, shallowReadonly, markRaw,
+  isReactive, isReadonly, toRaw, toRef, toRefs, customRef, proxyRefs, getDependencies, getEffectDependencies
+} from './reactive';
+
+describe('Reactive Core', () => {
+  describe('batch', () => {
+    it('should defer effects until the batch completes', () => {
+      const state = reactive({ a: 1, b: 2 });
+      const spy = vi.fn(() => state.a + state.b);
+      effect(spy);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      batch(() => {
+        state.a = 10;
+        state.b = 20;
+        expect(spy).toHaveBeenCalledTimes(1);
+      });
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(30);
+    });
+
+    it('should support nested batches', () => {
+      const count = ref(0);
+      const spy = vi.fn(() => count.value);
+      effect(spy);
+
+      batch(() => {
+        count.value++;
+        batch(() => {
+          count.value++;
+        });
+        expect(spy).toHaveBeenCalledTimes(1);
+        count.value++;
+      });
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(3);
+    });
+
+    it('should run every queued effect when one throws', () => {
+      const state = reactive({ a: 1 });
+      effect(() => {
+        if (state.a === 3) throw new Error('boom');
+      });
+      const spy = vi.fn(() => state.a);
+      effect(spy);
+
+      expect(() => batch(() => {
+        state.a = 3;
+      })).toThrow('boom');
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(3);
+    });
+
+    it('should run an effect once when it reads a value and a computed of it', () => {
+      const x = ref(1);
+      const double = computed(() => x.value * 2);
+      const spy = vi.fn(() => x.value + double.value);
+      effect(spy);
+
+      x.value = 2;
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(6);
+    });
+
+    it('should run queued effects in creation order', () => {
+      const state = reactive({ a: 0, b: 0 });
+      const order = [];
+      effect(() => order.push(`first:${state.b}`));
+      effect(() => order.push(`second:${state.a}`));
+      order.length = 0;
+
+      batch(() => {
+        state.a = 1;
+        state.b = 1;
+      });
+
+      expect(order).toEqual(['first:1', 'second:1']);
+    });
+
+    it('should let computed values update inside a batch', () => {
+      const count = ref(1);
+      const double = computed(() => count.value * 2);
+      const spy = vi.fn(() => double.value);
+      effect(spy);
+
+      batch(() => {
+        count.value = 2;
+        expect(double.value).toBe(4);
+        count.value = 3;
+      });
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(6);
+    });
+
+    it('should return the value of the batched function', () => {
+      expect(batch(() => 42)).toBe(42);
+    });
+  });
+
+  describe('nextTick', () => {
+    it('should resolve after queued watchers have run', async () => {
+      const count = ref(0);
+      const spy = vi.fn();
+      watch(count, spy);
+
+      count.value = 1;
+      count.value = 2;
+      expect(spy).not.toHaveBeenCalled();
+
+      await nextTick();
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy).toHaveBeenCalledWith(2, 0, expect.any(Function));
+    });
+
+    it('should run the callback after the flush', async () => {
+      const count = ref(0);
+      const seen = [];
+      watch(count, (value) => seen.push(value));
+
+      count.value = 1;
+      await nextTick(() => seen.push('tick'));
+
+      expect(seen).toEqual([1, 'tick']);
+    });
+
+    it('should run post-flush watchers after pre-flush watchers', async () => {
+      const count = ref(0);
+      const order = [];
+      watch(count, () => order.push('post'), { flush: 'post' });
+      watch(count, () => order.push('pre'));
+
+      count.value = 1;
+      await nextTick();
+
+      expect(order).toEqual(['pre', 'post']);
+    });
+  });
+
+  describe('effectScope', () => {
+    it('should stop effects, computeds and watchers created inside run()', async () => {
+      const count = ref(0);
+      const effectSpy = vi.fn(() => count.value);
+      const watchSpy = vi.fn();
+      const scope = effectScope();
+      let double;
+
+      scope.run(() => {
+        effect(effectSpy);
+        double = computed(() => count.value * 2);
+        watch(count, watchSpy);
+      });
+
+      expect(double.value).toBe(0);
+      scope.stop();
+
+      count.value = 1;
+      await nextTick();
+
+      expect(effectSpy).toHaveBeenCalledTimes(1);
+      expect(watchSpy).not.toHaveBeenCalled();
+      expect(scope.active).toBe(false);
+    });
+
+    it('should run onScopeDispose callbacks and expose the current scope', () => {
+      const scope = effectScope();
+      const dispose = vi.fn();
+
+      scope.run(() => {
+        expect(getCurrentScope()).toBe(scope);
+        onScopeDispose(dispose);
+      });
+
+      expect(getCurrentScope()).toBeNull();
+      scope.stop();
+      expect(dispose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop nested scopes unless detached', () => {
+      const parent = effectScope();
+      const childDispose = vi.fn();
+      const detachedDispose = vi.fn();
+      let detached;
+
+      parent.run(() => {
+        effectScope().run(() => onScopeDispose(childDispose));
+        detached = effectScope(true);
+        detached.run(() => onScopeDispose(detachedDispose));
+      });
+
+      parent.stop();
+      expect(childDispose).toHaveBeenCalled();
+      expect(detachedDispose).not.toHaveBeenCalled();
+
+      detached.stop();
+      expect(detachedDispose).toHaveBeenCalled();
+    });
+
+    it('should collect effects created while a scoped effect re-runs', () => {
+      const show = ref(true);
+      const count = ref(0);
+      const innerSpy = vi.fn(() => count.value);
+      const scope = effectScope();
+
+      scope.run(() => {
+        effect(() => {
+          if (show.value) effect(innerSpy);
+        });
+      });
+
+      show.value = false;
+      show.value = true;
+      expect(innerSpy).toHaveBeenCalledTimes(2);
+
+      scope.stop();
+      count.value++;
+      expect(innerSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('shallow and readonly variants', () => {
+    it('should only track root-level properties with shallowReactive', () => {
+      const state = shallowReactive({ nested: { count: 0 } });
+      const spy = vi.fn(() => state.nested.count);
+      effect(spy);
+
+      expect(isReactive(state.nested)).toBe(false);
+      state.nested.count++;
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      state.nested = { count: 5 };
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep ref values as given and re-run shallowRef readers on triggerRef', () => {
+      const original = { count: 0 };
+      const plain = ref(original);
+      const shallow = shallowRef({ count: 0 });
+      const shallowSpy = vi.fn(() => shallow.value.count);
+      effect(shallowSpy);
+
+      expect(plain.value).toBe(original);
+      expect(isReactive(plain.value)).toBe(false);
+
+      shallow.value.count++;
+      expect(shallowSpy).toHaveBeenCalledTimes(1);
+
+      triggerRef(shallow);
+      expect(shallowSpy).toHaveBeenCalledTimes(2);
+      expect(shallowSpy).toHaveLastReturnedWith(1);
+    });
+
+    it('should warn and ignore mutations on readonly proxies', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const state = readonly({ nested: { count: 0 } });
+
+      state.nested.count = 1;
+      delete state.nested;
+
+      expect(state.nested.count).toBe(0);
+      expect(isReadonly(state.nested)).toBe(true);
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+
+    it('should track reactive sources through a readonly view', () => {
+      const source = reactive({ count: 0 });
+      const view = readonly(source);
+      const spy = vi.fn(() => view.count);
+      effect(spy);
+
+      source.count = 3;
+      expect(spy).toHaveLastReturnedWith(3);
+      expect(isReactive(view)).toBe(true);
+      expect(toRaw(view)).toBe(toRaw(source));
+    });
+
+    it('should leave nested values mutable with shallowReadonly', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const state = shallowReadonly({ nested: { count: 0 } });
+
+      state.nested.count = 1;
+      state.nested = null;
+
+      expect(state.nested.count).toBe(1);
+      expect(warn).toHaveBeenCalledTimes(1);
+      warn.mockRestore();
+    });
+
+    it('should never proxy objects marked raw or host objects', () => {
+      const widget = markRaw({ zoom: 1 });
+      const state = reactive({ widget, date: new Date(0) });
+
+      expect(state.widget).toBe(widget);
+      expect(isReactive(state.widget)).toBe(false);
+      expect(state.date.getTime()).toBe(0);
+    });
+  });
+
+  describe('collections', () => {
+    it('should track Map get/has/size and trigger on set/delete', () => {
+      const map = reactive(new Map([['a', 1]]));
+      const spy = vi.fn(() => `${map.get('a')}:${map.has('b')}:${map.size}`);
+      effect(spy);
+      expect(spy).toHaveLastReturnedWith('1:false:1');
+
+      map.set('a', 2);
+      expect(spy).toHaveLastReturnedWith('2:false:1');
+
+      map.set('b', 3);
+      expect(spy).toHaveLastReturnedWith('2:true:2');
+
+      map.delete('a');
+      expect(spy).toHaveLastReturnedWith('undefined:true:1');
+    });
+
+    it('should not re-run key iteration when an existing Map value changes', () => {
+      const map = reactive(new Map([['a', 1]]));
+      const keysSpy = vi.fn(() => [...map.keys()]);
+      const valuesSpy = vi.fn(() => [...map.values()]);
+      effect(keysSpy);
+      effect(valuesSpy);
+
+      map.set('a', 2);
+      expect(keysSpy).toHaveBeenCalledTimes(1);
+      expect(valuesSpy).toHaveLastReturnedWith([2]);
+
+      map.set('b', 3);
+      expect(keysSpy).toHaveLastReturnedWith(['a', 'b']);
+    });
+
+    it('should track Set iteration and trigger on add/delete/clear', () => {
+      const set = reactive(new Set([1]));
+      const spy = vi.fn(() => {
+        const items = [];
+        set.forEach(v => items.push(v));
+        return items;
+      });
+      effect(spy);
+
+      set.add(2);
+      expect(spy).toHaveLastReturnedWith([1, 2]);
+
+      set.add(2);
+      expect(spy).toHaveBeenCalledTimes(2);
+
+      set.delete(1);
+      expect(spy).toHaveLastReturnedWith([2]);
+
+      set.clear();
+      expect(spy).toHaveLastReturnedWith([]);
+    });
+
+    it('should return reactive values from Map entries and for...of', () => {
+      const map = reactive(new Map([['user', { name: 'A' }]]));
+      const spy = vi.fn(() => {
+        const names = [];
+        for (const [, user] of map) names.push(user.name);
+        return names;
+      });
+      effect(spy);
+
+      map.get('user').name = 'B';
+      expect(spy).toHaveLastReturnedWith(['B']);
+      expect(isReactive([...map.entries()][0][1])).toBe(true);
+    });
+
+    it('should support WeakMap and WeakSet', () => {
+      const key = {};
+      const weakMap = reactive(new WeakMap());
+      const weakSet = reactive(new WeakSet());
+      const spy = vi.fn(() => `${weakMap.get(key)}:${weakSet.has(key)}`);
+      effect(spy);
+
+      weakMap.set(key, 1);
+      weakSet.add(key);
+      expect(spy).toHaveLastReturnedWith('1:true');
+    });
+
+    it('should warn on mutation of readonly collections', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const map = readonly(new Map([['a', 1]]));
+
+      map.set('a', 2);
+      map.clear();
+
+      expect(map.get('a')).toBe(1);
+      expect(map.size).toBe(1);
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+
+    it('should re-run Object.keys effects when keys are added or deleted', () => {
+      const state = reactive({ a: 1 });
+      const spy = vi.fn(() => Object.keys(state).length);
+      effect(spy);
+
+      state.b = 2;
+      expect(spy).toHaveLastReturnedWith(2);
+
+      delete state.a;
+      expect(spy).toHaveLastReturnedWith(1);
+    });
+  });
+
+  describe('arrays', () => {
+    it('should not track length when pushing inside an effect', () => {
+      const list = reactive([]);
+      const spy = vi.fn(() => list.push(1));
+      effect(spy);
+      effect(() => list.push(2));
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(toRaw(list)).toEqual([1, 2]);
+    });
+
+    it('should run length watchers once per splice', () => {
+      const list = reactive([1, 2, 3, 4]);
+      const spy = vi.fn(() => list.length);
+      effect(spy);
+
+      list.splice(1, 2, 'a');
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(3);
+    });
+
+    it('should find raw and reactive items with includes/indexOf', () => {
+      const item = { id: 1 };
+      const list = reactive([item]);
+
+      expect(list.includes(item)).toBe(true);
+      expect(list.includes(list[0])).toBe(true);
+      expect(list.indexOf(item)).toBe(0);
+      expect(list.lastIndexOf(list[0])).toBe(0);
+
+      list.push(list[0]);
+      expect(toRaw(list)[1]).toBe(item);
+    });
+
+    it('should re-run identity searches when items change', () => {
+      const item = { id: 1 };
+      const list = reactive([]);
+      const spy = vi.fn(() => list.includes(item));
+      effect(spy);
+
+      list.push(item);
+      expect(spy).toHaveLastReturnedWith(true);
+    });
+
+    it('should trigger effects on sort and reverse', () => {
+      const list = reactive([3, 1, 2]);
+      const spy = vi.fn(() => list.join(','));
+      effect(spy);
+
+      list.sort();
+      expect(spy).toHaveLastReturnedWith('1,2,3');
+      expect(spy).toHaveBeenCalledTimes(2);
+
+      list.reverse();
+      expect(spy).toHaveLastReturnedWith('3,2,1');
+      expect(spy).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep raw objects in the array when sorting reactive items', () => {
+      const a = { n: 2 };
+      const b = { n: 1 };
+      const list = reactive([a, b]);
+
+      list.sort((x, y) => x.n - y.n);
+      expect(toRaw(list)[0]).toBe(b);
+      expect(isReactive(toRaw(list)[0])).toBe(false);
+    });
+
+    it('should trigger effects on fill and copyWithin', () => {
+      const list = reactive([1, 2, 3, 4]);
+      const spy = vi.fn(() => list.join(','));
+      effect(spy);
+
+      list.fill(0, 2);
+      expect(spy).toHaveLastReturnedWith('1,2,0,0');
+
+      list.copyWithin(2, 0, 2);
+      expect(spy).toHaveLastReturnedWith('1,2,1,2');
+      expect(spy).toHaveBeenCalledTimes(3);
+    });
+
+    it('should trigger index effects when length shrinks', () => {
+      const list = reactive([1, 2, 3]);
+      const spy = vi.fn(() => list[2]);
+      effect(spy);
+      effect(() => [...list]);
+
+      list.length = 1;
+      expect(spy).toHaveLastReturnedWith(undefined);
+    });
+  });
+
+  describe('debugging hooks', () => {
+    it('should call onTrack for each new dependency', () => {
+      const state = reactive({ a: 1, b: 2 });
+      const onTrack = vi.fn();
+      effect(() => state.a + ('b' in state ? 1 : 0) + Object.keys(state).length, { onTrack });
+
+      expect(onTrack.mock.calls.map(([e]) => `${e.type}:${String(e.key)}`))
+        .toEqual(['get:a', 'has:b', 'iterate:Symbol(iterate)']);
+      expect(onTrack.mock.calls[0][0].target).toBe(toRaw(state));
+    });
+
+    it('should call onTrigger with old and new values', () => {
+      const state = reactive({ count: 1 });
+      const onTrigger = vi.fn();
+      effect(() => state.count, { onTrigger });
+
+      state.count = 2;
+      expect(onTrigger).toHaveBeenCalledWith(expect.objectContaining({
+        target: toRaw(state),
+        key: 'count',
+        type: 'set',
+        oldValue: 1,
+        newValue: 2
+      }));
+    });
+
+    it('should forward debug hooks from watch and computed', async () => {
+      const count = ref(0);
+      const onTrigger = vi.fn();
+      const onTrack = vi.fn();
+      watch(count, () => {}, { onTrigger });
+      const double = computed(() => count.value * 2, { onTrack });
+
+      expect(double.value).toBe(0);
+      expect(onTrack).toHaveBeenCalledWith(expect.objectContaining({ target: count, key: 'value' }));
+
+      count.value = 1;
+      expect(onTrigger).toHaveBeenCalledWith(expect.objectContaining({ oldValue: 0, newValue: 1 }));
+      await nextTick();
+    });
+
+    it('should inspect the dependency graph', () => {
+      const state = reactive({ a: 1, b: 2 });
+      const runner = effect(() => state.a);
+      const double = computed(() => state.b * 2);
+      expect(double.value).toBe(4);
+
+      const graph = getDependencies(state);
+      expect(graph).toEqual([
+        { key: 'a', effects: [runner] },
+        { key: 'b', effects: [double.effect] }
+      ]);
+      expect(getEffectDependencies(runner)).toEqual([{ target: toRaw(state), key: 'a' }]);
+      expect(getEffectDependencies(double)).toEqual([{ target: toRaw(state), key: 'b' }]);
+      expect(getDependencies({})).toEqual([]);
+    });
+  });
+
+  describe('computed', () => {
+    it('should not notify dependents when the value is unchanged', () => {
+      const count = ref(1);
+      const isPositive = computed(() => count.value > 0);
+      const spy = vi.fn(() => isPositive.value);
+      effect(spy);
+
+      count.value = 2;
+      count.value = 3;
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      count.value = -1;
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(false);
+    });
+
+    it('should use a custom equals option', () => {
+      const list = ref([1, 2]);
+      const sorted = computed(() => [...list.value].sort(), {
+        equals: (a, b) => a.join() === b?.join()
+      });
+      const spy = vi.fn(() => sorted.value);
+      effect(spy);
+
+      list.value = [2, 1];
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      list.value = [3, 1];
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pass the previous value to the getter', () => {
+      const count = ref(1);
+      const history = computed((previous) => [...(previous || []), count.value]);
+
+      expect(history.value).toEqual([1]);
+      count.value = 2;
+      expect(history.value).toEqual([1, 2]);
+    });
+
+    it('should cache and rethrow getter errors until dependencies change', () => {
+      const input = ref('{"a":1}');
+      const getter = vi.fn(() => JSON.parse(input.value));
+      const parsed = computed(getter);
+
+      expect(parsed.value).toEqual({ a: 1 });
+
+      input.value = '{';
+      expect(() => parsed.value).toThrow(SyntaxError);
+      expect(() => parsed.value).toThrow(SyntaxError);
+      expect(getter).toHaveBeenCalledTimes(2);
+
+      input.value = '{"a":2}';
+      expect(parsed.value).toEqual({ a: 2 });
+    });
+
+    it('should recompute once per batch with subscribers', () => {
+      const count = ref(1);
+      const getter = vi.fn(() => count.value * 2);
+      const double = computed(getter);
+      const spy = vi.fn(() => double.value);
+      effect(spy);
+
+      batch(() => {
+        count.value = 2;
+        count.value = 3;
+        count.value = 4;
+        expect(getter).toHaveBeenCalledTimes(1);
+      });
+
+      expect(getter).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(8);
+    });
+
+    it('should not notify when a batch restores the value', () => {
+      const count = ref(1);
+      const double = computed(() => count.value * 2);
+      const spy = vi.fn(() => double.value);
+      effect(spy);
+
+      batch(() => {
+        count.value = 5;
+        expect(double.value).toBe(10);
+        count.value = 1;
+      });
+
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should propagate through chained computeds', () => {
+      const count = ref(1);
+      const double = computed(() => count.value * 2);
+      const quadruple = computed(() => double.value * 2);
+      const spy = vi.fn(() => quadruple.value);
+      effect(spy);
+
+      count.value = 2;
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(8);
+    });
+
+    it('should stay lazy without subscribers', () => {
+      const count = ref(1);
+      const getter = vi.fn(() => count.value * 2);
+      const double = computed(getter);
+
+      count.value = 2;
+      count.value = 3;
+      expect(getter).not.toHaveBeenCalled();
+      expect(double.value).toBe(6);
+      expect(getter).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('computedAsync', () => {
+    it('should resolve to the async result and track dependencies', async () => {
+      const id = ref(1);
+      const user = computedAsync(async () => {
+        const current = id.value;
+        await Promise.resolve();
+        return `user-${current}`;
+      }, 'none');
+
+      expect(user.value).toBe('none');
+      expect(user.evaluating.value).toBe(true);
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(user.value).toBe('user-1');
+      expect(user.evaluating.value).toBe(false);
+
+      id.value = 2;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(user.value).toBe('user-2');
+    });
+
+    it('should abort stale evaluations and ignore their results', async () => {
+      const query = ref('a');
+      const signals = [];
+      const resolvers = [];
+      const result = computedAsync((signal) => {
+        const current = query.value;
+        signals.push(signal);
+        return new Promise(resolve => resolvers.push(() => resolve(current)));
+      });
+
+      query.value = 'b';
+      expect(signals[0].aborted).toBe(true);
+      expect(signals[1].aborted).toBe(false);
+
+      resolvers[1]();
+      resolvers[0]();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(result.value).toBe('b');
+    });
+
+    it('should not evaluate lazy getters until read', async () => {
+      const getter = vi.fn(async () => 1);
+      const value = computedAsync(getter, 0, { lazy: true });
+
+      expect(getter).not.toHaveBeenCalled();
+      expect(value.value).toBe(0);
+      expect(getter).toHaveBeenCalledTimes(1);
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(value.value).toBe(1);
+    });
+
+    it('should report errors through onError', async () => {
+      const onError = vi.fn();
+      const value = computedAsync(async () => {
+        throw new Error('boom');
+      }, 'initial', { onError });
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }));
+      expect(value.value).toBe('initial');
+      expect(value.evaluating.value).toBe(false);
+    });
+  });
+
+  describe('watch', () => {
+    it('should not call the callback when an object value is unchanged', async () => {
+      const state = reactive({ user: { name: 'a' }, count: 0 });
+      const callback = vi.fn();
+      watch(() => state.user, callback);
+
+      state.count++;
+      await nextTick();
+      expect(callback).not.toHaveBeenCalled();
+
+      state.user = { name: 'b' };
+      await nextTick();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pass a cloned old value for deep watches', async () => {
+      const state = reactive({ items: [1, 2] });
+      const callback = vi.fn();
+      watch(state, callback, { deep: true });
+
+      state.items.push(3);
+      await nextTick();
+      const [newValue, oldValue] = callback.mock.calls[0];
+      expect(newValue.items).toEqual([1, 2, 3]);
+      expect(oldValue.items).toEqual([1, 2]);
+    });
+
+    it('should keep the previous reference without an explicit deep option', async () => {
+      class Widget {
+        constructor(i) {
+          this.i = i;
+        }
+      }
+      const widget = shallowRef(new Widget(1));
+      const state = reactive({ count: 0 });
+      const widgetCallback = vi.fn();
+      const stateCallback = vi.fn();
+      watch(widget, widgetCallback, { flush: 'sync' });
+      watch(state, stateCallback, { flush: 'sync' });
+
+      const first = widget.value;
+      widget.value = new Widget(2);
+      expect(widgetCallback.mock.calls[0][1]).toBe(first);
+
+      state.count++;
+      expect(stateCallback.mock.calls[0][1]).toBe(state);
+    });
+
+    it('should handle circular and markRaw values in deep watches', () => {
+      const circular = { name: 'a' };
+      circular.self = circular;
+      const looped = { list: [] };
+      looped.list.push(looped);
+      const state = reactive({ node: markRaw(circular), looped, count: 0 });
+      const callback = vi.fn();
+
+      expect(() => watch(state, callback, { deep: true, flush: 'sync' })).not.toThrow();
+
+      state.count++;
+      const [, oldValue] = callback.mock.calls[0];
+      expect(oldValue.node).toBe(circular);
+      expect(oldValue.count).toBe(0);
+      expect(oldValue.looped.list[0]).toBe(oldValue.looped);
+    });
+
+    it('should limit traversal with a numeric deep option', async () => {
+      const state = reactive({ a: { b: { c: 1 } } });
+      const callback = vi.fn();
+      watch(() => state, callback, { deep: 2, flush: 'sync' });
+
+      state.a.b.c = 2;
+      expect(callback).not.toHaveBeenCalled();
+
+      state.a.b = { c: 3 };
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop after the first call with once', async () => {
+      const count = ref(0);
+      const callback = vi.fn();
+      watch(count, callback, { once: true, flush: 'sync' });
+
+      count.value = 1;
+      count.value = 2;
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(1, 0, expect.any(Function));
+    });
+
+    it('should pause and resume', async () => {
+      const count = ref(0);
+      const callback = vi.fn();
+      const handle = watch(count, callback, { flush: 'sync' });
+
+      handle.pause();
+      count.value = 1;
+      count.value = 2;
+      expect(callback).not.toHaveBeenCalled();
+
+      handle.resume();
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(2, 0, expect.any(Function));
+
+      handle.stop();
+      count.value = 3;
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pass per-source old values for multiple sources', async () => {
+      const a = ref(1);
+      const b = ref('x');
+      const callback = vi.fn();
+      watch([a, () => b.value], callback, { immediate: true, flush: 'sync' });
+
+      expect(callback).toHaveBeenLastCalledWith([1, 'x'], [undefined, undefined], expect.any(Function));
+
+      a.value = 2;
+      expect(callback).toHaveBeenLastCalledWith([2, 'x'], [1, 'x'], expect.any(Function));
+
+      b.value = 'x';
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('watchEffect', () => {
+    it('should run immediately and re-run on change', async () => {
+      const count = ref(0);
+      const seen = [];
+      watchEffect(() => seen.push(count.value));
+
+      expect(seen).toEqual([0]);
+      count.value = 1;
+      count.value = 2;
+      await nextTick();
+      expect(seen).toEqual([0, 2]);
+    });
+
+    it('should run cleanup before re-running and on stop', async () => {
+      const count = ref(0);
+      const cleanup = vi.fn();
+      const stopHandle = watchEffect((onCleanup) => {
+        count.value;
+        onCleanup(cleanup);
+      }, { flush: 'sync' });
+
+      count.value++;
+      expect(cleanup).toHaveBeenCalledTimes(1);
+
+      stopHandle();
+      expect(cleanup).toHaveBeenCalledTimes(2);
+    });
+
+    it('should run post effects after pre-flush watchers', async () => {
+      const count = ref(0);
+      const order = [];
+      watchPostEffect(() => order.push(`post:${count.value}`));
+      watch(count, value => order.push(`pre:${value}`));
+
+      await nextTick();
+      expect(order).toEqual(['post:0']);
+
+      count.value = 1;
+      await nextTick();
+      expect(order).toEqual(['post:0', 'pre:1', 'post:1']);
+    });
+  });
+
+  describe('ref helpers', () => {
+    it('should link toRef to the source property', () => {
+      const state = reactive({ count: 1 });
+      const count = toRef(state, 'count');
+      const seen = [];
+      effect(() => seen.push(count.value));
+
+      state.count = 2;
+      count.value = 3;
+      expect(state.count).toBe(3);
+      expect(seen).toEqual([1, 2, 3]);
+    });
+
+    it('should use the default value and support getters', () => {
+      const state = reactive({});
+      expect(toRef(state, 'missing', 'fallback').value).toBe('fallback');
+
+      const doubled = toRef(() => (state.n || 1) * 2);
+      expect(doubled.value).toBe(2);
+    });
+
+    it('should keep reactivity when destructuring with toRefs', () => {
+      const state = reactive({ a: 1, b: 2 });
+      const { a, b } = toRefs(state);
+      const sum = computed(() => a.value + b.value);
+
+      expect(sum.value).toBe(3);
+      state.a = 10;
+      expect(sum.value).toBe(12);
+    });
+
+    it('should build debounced refs with customRef', () => {
+      vi.useFakeTimers();
+      const debounced = (value, delay) => customRef((track, trigger) => {
+        let timer;
+        return {
+          get() {
+            track();
+            return value;
+          },
+          set(newValue) {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+              value = newValue;
+              trigger();
+            }, delay);
+          }
+        };
+      });
+
+      const text = debounced('', 100);
+      const seen = [];
+      effect(() => seen.push(text.value));
+
+      text.value = 'a';
+      text.value = 'ab';
+      expect(seen).toEqual(['']);
+
+      vi.advanceTimersByTime(100);
+      expect(seen).toEqual(['', 'ab']);
+      vi.useRealTimers();
+    });
+
+    it('should unwrap refs with proxyRefs', () => {
+      const count = ref(1);
+      const state = proxyRefs(reactive({ count, label: 'x' }));
+      const seen = [];
+      effect(() => seen.push(state.count));
+
+      expect(state.label).toBe('x');
+      state.count = 2;
+      expect(count.value).toBe(2);
+      expect(seen).toEqual([1, 2]);
+    });
+  });
+});
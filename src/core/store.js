@@ -0,0 +1,279 @@
+/**
+ * MonkeysJS - Store
+ * Shared state containers with getters, actions, subscriptions and plugins
+ */
+
+import {
+  reactive, computed, effect, effectScope, getCurrentScope, onScopeDispose, batch, traverse
+} from './reactive.js';
+import { deepClone, deepMerge } from '../utils/helpers.js';
+
+// Store instances by id
+const stores = new Map();
+
+// Registered plugins, applied to every store when it is created
+const plugins = new Set();
+
+// Mutation types reported to $subscribe callbacks
+export const MutationType = {
+  DIRECT: 'direct',
+  PATCH_OBJECT: 'patch object',
+  PATCH_FUNCTION: 'patch function'
+};
+
+/**
+ * Define a store
+ * @param {string} id - Unique store id
+ * @param {Object} options - { state, getters, actions }
+ * @returns {Function} - useStore() returning the shared store instance
+ */
+export function defineStore(id, options = {}) {
+  function useStore() {
+    if (!stores.has(id)) {
+      stores.set(id, createStore(id, options));
+    }
+    return stores.get(id);
+  }
+
+  useStore.$id = id;
+  return useStore;
+}
+
+/**
+ * Register a store plugin
+ * The plugin receives { store, options, id } and may return properties to add to the store.
+ * @param {Function} plugin - The plugin function
+ * @returns {Function} - Unregister function
+ */
+export function registerStorePlugin(plugin) {
+  plugins.add(plugin);
+  return () => plugins.delete(plugin);
+}
+
+/**
+ * Create a store instance
+ */
+function createStore(id, options) {
+  const { state, getters = {}, actions = {} } = options;
+  const initialState = () => typeof state === 'function' ? state() : deepClone(state || {});
+
+  const scope = effectScope(true);
+  const $state = reactive(initialState());
+  const subscriptions = new Set();
+  const actionSubscriptions = new Set();
+
+  let patchEvents = null;
+
+  const notify = (mutation) => {
+    subscriptions.forEach(callback => callback(mutation, $state));
+  };
+
+  const store = {
+    $id: id,
+
+    get $state() {
+      return $state;
+    },
+
+    set $state(newState) {
+      store.$patch(current => {
+        Object.assign(current, newState);
+      });
+    },
+
+    /**
+     * Apply several mutations as a single notification
+     * @param {Object|Function} partialOrMutator - Partial state to merge, or (state) => void
+     */
+    $patch(partialOrMutator) {
+      const isFunction = typeof partialOrMutator === 'function';
+      const outerEvents = patchEvents;
+      patchEvents = [];
+
+      try {
+        batch(() => {
+          if (isFunction) {
+            partialOrMutator($state);
+          } else {
+            deepMerge($state, partialOrMutator);
+          }
+        });
+      } finally {
+        const events = patchEvents;
+        patchEvents = outerEvents;
+
+        if (outerEvents) {
+          outerEvents.push(...events);
+        } else {
+          notify({
+            storeId: id,
+            type: isFunction ? MutationType.PATCH_FUNCTION : MutationType.PATCH_OBJECT,
+            payload: isFunction ? undefined : partialOrMutator,
+            events
+          });
+        }
+      }
+    },
+
+    /**
+     * Restore the initial state
+     */
+    $reset() {
+      const fresh = initialState();
+      store.$patch(current => {
+        Object.keys(current).forEach(key => {
+          if (!(key in fresh)) {
+            delete current[key];
+          }
+        });
+        Object.assign(current, fresh);
+      });
+    },
+
+    /**
+     * Subscribe to state mutations
+     * @param {Function} callback - (mutation, state) => void
+     * @param {Object} subscribeOptions - { detached }
+     * @returns {Function} - Unsubscribe function
+     */
+    $subscribe(callback, subscribeOptions = {}) {
+      return addSubscription(subscriptions, callback, subscribeOptions.detached);
+    },
+
+    /**
+     * Subscribe to action calls
+     * The callback runs before the action and receives { name, store, args, after, onError }.
+     * @param {Function} callback - The action listener
+     * @param {boolean} detached - Keep the subscription after the current scope is disposed
+     * @returns {Function} - Unsubscribe function
+     */
+    $onAction(callback, detached = false) {
+      return addSubscription(actionSubscriptions, callback, detached);
+    },
+
+    /**
+     * Stop the store's effects and remove it from the registry
+     */
+    $dispose() {
+      scope.stop();
+      subscriptions.clear();
+      actionSubscriptions.clear();
+      stores.delete(id);
+    }
+  };
+
+  /**
+   * Wrap an action so listeners can observe it
+   */
+  function wrapAction(name, action) {
+    return function (...args) {
+      const afterCallbacks = [];
+      const errorCallbacks = [];
+
+      actionSubscriptions.forEach(callback => callback({
+        name,
+        store,
+        args,
+        after: fn => afterCallbacks.push(fn),
+        onError: fn => errorCallbacks.push(fn)
+      }));
+
+      let result;
+      try {
+        result = action.apply(store, args);
+      } catch (error) {
+        errorCallbacks.forEach(fn => fn(error));
+        throw error;
+      }
+
+      if (result instanceof Promise) {
+        return result.then(
+          value => {
+            afterCallbacks.forEach(fn => fn(value));
+            return value;
+          },
+          error => {
+            errorCallbacks.forEach(fn => fn(error));
+            return Promise.reject(error);
+          }
+        );
+      }
+
+      afterCallbacks.forEach(fn => fn(result));
+      return result;
+    };
+  }
+
+  // Expose state properties directly on the store
+  Object.keys($state).forEach(key => {
+    Object.defineProperty(store, key, {
+      get: () => $state[key],
+      set: value => {
+        $state[key] = value;
+      },
+      enumerable: true
+    });
+  });
+
+  scope.run(() => {
+    // Report direct mutations; mutations inside $patch are collected instead
+    effect(() => traverse($state), {
+      scheduler: runner => runner(),
+      onTrigger: event => {
+        const mutation = {
+          key: event.key,
+          type: event.type,
+          newValue: event.newValue,
+          oldValue: event.oldValue,
+          target: event.target
+        };
+        if (patchEvents) {
+          patchEvents.push(mutation);
+        } else {
+          notify({ storeId: id, type: MutationType.DIRECT, events: [mutation] });
+        }
+      }
+    });
+
+    Object.keys(getters).forEach(name => {
+      const getter = computed(() => getters[name].call(store, $state));
+      Object.defineProperty(store, name, {
+        get: () => getter.value,
+        enumerable: true
+      });
+    });
+  });
+
+  Object.keys(actions).forEach(name => {
+    store[name] = wrapAction(name, actions[name]);
+  });
+
+  plugins.forEach(plugin => {
+    const extensions = scope.run(() => plugin({ store, options, id }));
+    if (extensions) {
+      Object.assign(store, extensions);
+    }
+  });
+
+  return store;
+}
+
+/**
+ * Add a callback to a subscription set
+ */
+function addSubscription(subscriptions, callback, detached) {
+  subscriptions.add(callback);
+  const unsubscribe = () => subscriptions.delete(callback);
+
+  if (!detached && getCurrentScope()) {
+    onScopeDispose(unsubscribe);
+  }
+
+  return unsubscribe;
+}
+
+export default {
+  defineStore,
+  registerStorePlugin,
+  MutationType
+};
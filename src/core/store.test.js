@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { defineStore, registerStorePlugin, MutationType } from './store';
+import { effect, effectScope } from './reactive';
+import { createMemoryStorage } from '../utils/storage';
+
+describe('Store', () => {
+  const created = [];
+  const define = (id, options) => {
+    const useStore = defineStore(id, options);
+    created.push(useStore);
+    return useStore;
+  };
+
+  afterEach(() => {
+    created.splice(0).forEach(useStore => useStore().$dispose());
+  });
+
+  const counterOptions = {
+    state: () => ({ count: 0, items: [] }),
+    getters: {
+      double: (state) => state.count * 2,
+      label() {
+        return `Count: ${this.double}`;
+      }
+    },
+    actions: {
+      increment(by = 1) {
+        this.count += by;
+        return this.count;
+      },
+      async add(item) {
+        this.items.push(item);
+        return this.items.length;
+      },
+      fail() {
+        throw new Error('nope');
+      }
+    }
+  };
+
+  it('should share one instance per id', () => {
+    const useCounter = define('counter', counterOptions);
+    expect(useCounter()).toBe(useCounter());
+    expect(useCounter.$id).toBe('counter');
+  });
+
+  it('should expose reactive state, getters and actions', () => {
+    const store = define('counter', counterOptions)();
+    const seen = [];
+    effect(() => seen.push(store.label));
+
+    expect(store.increment(2)).toBe(2);
+    expect(store.count).toBe(2);
+    expect(store.double).toBe(4);
+    expect(seen).toEqual(['Count: 0', 'Count: 4']);
+
+    store.count = 5;
+    expect(store.$state.count).toBe(5);
+  });
+
+  it('should notify subscribers of direct mutations and patches', () => {
+    const store = define('counter', counterOptions)();
+    const callback = vi.fn();
+    store.$subscribe(callback);
+
+    store.count++;
+    expect(callback).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        storeId: 'counter',
+        type: MutationType.DIRECT,
+        events: [expect.objectContaining({ key: 'count', newValue: 1, oldValue: 0 })]
+      }),
+      store.$state
+    );
+
+    store.$patch({ count: 10, items: ['a'] });
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(callback.mock.calls[1][0]).toMatchObject({
+      type: MutationType.PATCH_OBJECT,
+      payload: { count: 10, items: ['a'] }
+    });
+
+    store.$patch(state => {
+      state.count++;
+      state.items.push('b');
+    });
+    expect(callback).toHaveBeenCalledTimes(3);
+    expect(callback.mock.calls[2][0].type).toBe(MutationType.PATCH_FUNCTION);
+    expect(store.items).toEqual(['a', 'b']);
+  });
+
+  it('should track nested objects added later', () => {
+    const store = define('nested', { state: () => ({ user: null }) })();
+    const callback = vi.fn();
+    store.$subscribe(callback);
+
+    store.user = { name: 'a' };
+    store.user.name = 'b';
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(callback.mock.calls[1][0].events[0]).toMatchObject({ key: 'name', newValue: 'b' });
+  });
+
+  it('should reset to the initial state', () => {
+    const store = define('counter', counterOptions)();
+    store.$patch({ count: 3, items: ['x'] });
+    store.$reset();
+    expect(store.count).toBe(0);
+    expect(store.items).toEqual([]);
+  });
+
+  it('should run $onAction hooks before, after and on error', async () => {
+    const store = define('counter', counterOptions)();
+    const calls = [];
+    store.$onAction(({ name, args, after, onError }) => {
+      calls.push(`before:${name}:${args.join(',')}`);
+      after(result => calls.push(`after:${name}:${result}`));
+      onError(error => calls.push(`error:${name}:${error.message}`));
+    });
+
+    store.increment(3);
+    await store.add('x');
+    expect(() => store.fail()).toThrow('nope');
+
+    expect(calls).toEqual([
+      'before:increment:3',
+      'after:increment:3',
+      'before:add:x',
+      'after:add:1',
+      'before:fail:',
+      'error:fail:nope'
+    ]);
+  });
+
+  it('should remove subscriptions when the owning scope stops', () => {
+    const store = define('counter', counterOptions)();
+    const callback = vi.fn();
+    const scope = effectScope();
+    scope.run(() => store.$subscribe(callback));
+
+    scope.stop();
+    store.count++;
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should apply plugins for persistence', () => {
+    const storage = createMemoryStorage();
+    storage.set('settings', { theme: 'dark' });
+
+    const unregister = registerStorePlugin(({ store, id }) => {
+      const saved = storage.get(id);
+      if (saved) {
+        store.$patch(saved);
+      }
+      store.$subscribe((mutation, state) => storage.set(id, { ...state }));
+      return { $persisted: true };
+    });
+
+    const store = define('settings', { state: () => ({ theme: 'light' }) })();
+    unregister();
+
+    expect(store.theme).toBe('dark');
+    expect(store.$persisted).toBe(true);
+
+    store.theme = 'blue';
+    expect(storage.get('settings')).toEqual({ theme: 'blue' });
+  });
+});
@@ -3,7 +3,7 @@
  * Declarative DOM binding with custom directives
  */
 
-import { reactive, effect, stop, ref, isRef, watch } from '../core/reactive.js';
+import { reactive, effect, stop, ref, isRef, proxyRefs, watch, effectScope, onScopeDispose } from '../core/reactive.js';
 import { useFetch, RequestState } from '../http/client.js';
 
 // Directive registry
@@ -62,7 +62,7 @@ function evaluate(expression, context, element) {
       `with($data) { return ${expression} }`
     );
     return fn(
-        context.$data, 
+        proxyRefs(context.$data), 
         element, 
         context.$refs, 
         context.$event, 
@@ -75,6 +75,23 @@ function evaluate(expression, context, element) {
   }
 }
 
+/**
+ * Compile a statement, returning its value when it is a single expression
+ * Anything spanning several lines or statements runs as-is, so line breaks keep separating statements.
+ */
+function compileStatement(statement) {
+  const params = ['$data', '$el', '$refs', '$event', '$dispatch', '$watch'];
+  const expression = statement.trim().replace(/;+$/, '');
+  if (!/[;\n]/.test(expression)) {
+    try {
+      return new Function(...params, `with($data) { return (${expression}) }`);
+    } catch {
+      // Not an expression (e.g. an if statement); run it as a statement
+    }
+  }
+  return new Function(...params, `with($data) { ${statement} }`);
+}
+
 /**
  * Execute statement in context
  */
@@ -89,12 +106,9 @@ function execute(statement, context, element, event) {
         element.dispatchEvent(evt);
     };
 
-    const fn = new Function(
-      '$data', '$el', '$refs', '$event', '$dispatch', '$watch',
-      `with($data) { ${statement} }`
-    );
+    const fn = compileStatement(statement);
     return fn(
-        context.$data, 
+        proxyRefs(context.$data), 
         element, 
         context.$refs, 
         event, 
@@ -161,10 +175,16 @@ directive('if', {
       newEl.removeAttribute(`${directivePrefix}if`);
       placeholder.parentNode.insertBefore(newEl, placeholder.nextSibling);
       context._ifState.currentEl = newEl;
-      processElement(newEl, context);
+
+      // Effects of the rendered branch are disposed when it is removed
+      const scope = effectScope();
+      context._ifState.scope = scope;
+      scope.run(() => processElement(newEl, context));
     } else if (!value && currentEl) {
       currentEl.remove();
       context._ifState.currentEl = null;
+      context._ifState.scope?.stop();
+      context._ifState.scope = null;
     }
   }
 });
@@ -202,12 +222,16 @@ directive('for', {
     const { placeholder, template, elements, itemName, indexName, listExpression } = context._forState;
     const list = evaluate(listExpression, context, el) || [];
 
-    // Remove old elements
+    // Remove old elements and dispose their effects
     elements.forEach(e => e.remove());
     elements.length = 0;
+    context._forState.scope?.stop();
+
+    const scope = effectScope();
+    context._forState.scope = scope;
 
     // Create new elements
-    list.forEach((item, index) => {
+    scope.run(() => list.forEach((item, index) => {
       const newEl = template.cloneNode(true);
       const itemContext = createContext({
         ...context.$data,
@@ -218,7 +242,7 @@ directive('for', {
       placeholder.parentNode.insertBefore(newEl, placeholder);
       elements.push(newEl);
       processElement(newEl, itemContext);
-    });
+    }));
   }
 });
 
@@ -288,8 +312,10 @@ directive('on', {
     // Handle window/document modifiers
     if (modifiers.includes('window')) {
       window.addEventListener(eventName, handler, eventOptions);
+      onScopeDispose(() => window.removeEventListener(eventName, handler, eventOptions));
     } else if (modifiers.includes('document')) {
       document.addEventListener(eventName, handler, eventOptions);
+      onScopeDispose(() => document.removeEventListener(eventName, handler, eventOptions));
     } else {
       el.addEventListener(eventName, handler, eventOptions);
     }
@@ -336,7 +362,7 @@ directive('model', {
       // Set value using Function constructor
       try {
         const setter = new Function('$data', 'value', `with($data) { ${expression} = value }`);
-        setter(context.$data, value);
+        setter(proxyRefs(context.$data), value);
       } catch (error) {
         console.warn(`MonkeysJS: Error setting model "${expression}":`, error);
       }
@@ -499,6 +525,7 @@ directive('lazy', {
     
     context.$data.$lazy = false;
     observer.observe(el);
+    onScopeDispose(() => observer.disconnect());
     context._lazyObserver = observer;
   }
 });
@@ -509,19 +536,37 @@ directive('intersect', {
     const once = modifiers.includes('once');
     const threshold = modifiers.find(m => !isNaN(m)) || 0;
     
+    let pending = false;
+
     const observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         context.$data.$visible = entry.isIntersecting;
         context.$data.$intersectionRatio = entry.intersectionRatio;
         
-        if (entry.isIntersecting) {
-          execute(expression, context, el);
-          if (once) observer.unobserve(el);
+        if (entry.isIntersecting && !pending) {
+          const result = execute(expression, context, el);
+          if (once) {
+            observer.unobserve(el);
+          } else if (result && typeof result.then === 'function') {
+            // Re-observe once a truthy promise settles so a sentinel that is still
+            // visible (e.g. after loading a short page) fires again
+            pending = true;
+            Promise.resolve(result).then(value => {
+              pending = false;
+              if (value) {
+                observer.unobserve(el);
+                observer.observe(el);
+              }
+            }, () => {
+              pending = false;
+            });
+          }
         }
       });
     }, { threshold: parseFloat(threshold) });
     
     observer.observe(el);
+    onScopeDispose(() => observer.disconnect());
   }
 });
 
@@ -640,6 +685,7 @@ directive('hotkey', {
     };
     
     document.addEventListener('keydown', handler);
+    onScopeDispose(() => document.removeEventListener('keydown', handler));
     context._hotkeyHandler = handler;
   }
 });
@@ -922,6 +968,7 @@ function processElement(el, context) {
 export function createApp(rootData = {}) {
   let rootElement = null;
   let rootContext = null;
+  let scope = null;
   const plugins = [];
 
   const app = {
@@ -980,8 +1027,12 @@ export function createApp(rootData = {}) {
         }
       }
 
-      rootContext = createContext(rootData);
-      processElement(rootElement, rootContext);
+      // Collect every effect created while processing so unmount can dispose them
+      scope = effectScope();
+      scope.run(() => {
+        rootContext = createContext(rootData);
+        processElement(rootElement, rootContext);
+      });
 
       apps.set(rootElement, { app, context: rootContext });
 
@@ -991,6 +1042,8 @@ export function createApp(rootData = {}) {
     // Unmount app
     unmount() {
       if (rootElement) {
+        scope.stop();
+        scope = null;
         apps.delete(rootElement);
         rootElement = null;
         rootContext = null;
@@ -1023,15 +1076,6 @@ export function autoInit() {
   });
 }
 
-// Auto-init on DOM ready
-if (typeof document !== 'undefined') {
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', autoInit);
-  } else {
-    autoInit();
-  }
-}
-
 export default {
   createApp,
   directive,
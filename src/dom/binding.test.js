@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { createApp } from './binding';
+import { ref } from '../core/reactive';
 
 describe('DOM Binding', () => {
   let container;
@@ -58,6 +59,15 @@ describe('DOM Binding', () => {
     expect(app.data.count).toBe(2);
   });
 
+  it('should run multi-line handlers as separate statements', () => {
+    container.innerHTML = '<button @click="count++\nlabel = \'clicked\'\n"></button>';
+    const app = createApp({ count: 0, label: '' }).mount(container);
+
+    container.querySelector('button').click();
+    expect(app.data.count).toBe(1);
+    expect(app.data.label).toBe('clicked');
+  });
+
   it('should handle two-way binding (m-model) on input', () => {
     container.innerHTML = '<input m-model="text" />';
     const app = createApp({ text: 'initial' }).mount(container);
@@ -120,4 +130,57 @@ describe('DOM Binding', () => {
       app.data.items[0].name = 'Updated A';
       expect(spans[0].textContent).toBe('Updated A');
   });
+
+  it('should dispose bindings on unmount', () => {
+    container.innerHTML = '<span m-text="message"></span>';
+    const app = createApp({ message: 'Hello' }).mount(container);
+    const data = app.data;
+    const span = container.querySelector('span');
+
+    app.unmount();
+    data.message = 'World';
+    expect(span.textContent).toBe('Hello');
+  });
+
+  it('should auto-unwrap refs in expressions', () => {
+    container.innerHTML = '<span m-text="count * 2"></span><button @click="count++"></button>';
+    const count = ref(1);
+    createApp({ count }).mount(container);
+    const span = container.querySelector('span');
+
+    expect(span.textContent).toBe('2');
+
+    container.querySelector('button').click();
+    expect(count.value).toBe(2);
+    expect(span.textContent).toBe('4');
+  });
+
+  it('should keep loading while an m-intersect sentinel stays visible', async () => {
+    const observers = [];
+    const original = window.IntersectionObserver;
+    window.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        observers.push(this);
+      }
+      observe(el) {
+        // Report the sentinel as visible on every observe, like a short list would
+        this.callback([{ target: el, isIntersecting: true, intersectionRatio: 1 }]);
+      }
+      unobserve() {}
+      disconnect() {}
+    };
+
+    try {
+      let remaining = 2;
+      const loadMore = vi.fn(async () => remaining-- > 0 ? 'page' : null);
+      container.innerHTML = '<div m-intersect="loadMore()"></div>';
+      createApp({ loadMore }).mount(container);
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(loadMore).toHaveBeenCalledTimes(3);
+    } finally {
+      window.IntersectionObserver = original;
+    }
+  });
 });
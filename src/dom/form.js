@@ -3,7 +3,7 @@
  * Form handling, validation, and submission helpers
  */
 
-import { reactive, ref, computed, watch } from '../core/reactive.js';
+import { reactive, ref, shallowRef, computed, watch, batch } from '../core/reactive.js';
 import { http, RequestState } from '../http/client.js';
 
 /**
@@ -28,7 +28,7 @@ export function useForm(initialValues = {}, options = {}) {
   // Submission state
   const isSubmitting = ref(false);
   const submitCount = ref(0);
-  const submitError = ref(null);
+  const submitError = shallowRef(null);
 
   // Computed
   const isValid = computed(() => Object.keys(errors).length === 0);
@@ -198,8 +198,10 @@ export function useForm(initialValues = {}, options = {}) {
    * Set multiple values
    */
   function setValues(newValues) {
-    Object.entries(newValues).forEach(([field, value]) => {
-      setValue(field, value);
+    batch(() => {
+      Object.entries(newValues).forEach(([field, value]) => {
+        setValue(field, value);
+      });
     });
   }
 
@@ -245,18 +247,20 @@ export function useForm(initialValues = {}, options = {}) {
   function reset(newInitialValues) {
     const resetTo = newInitialValues || initialValues;
     
-    Object.keys(values).forEach(key => delete values[key]);
-    Object.keys(errors).forEach(key => delete errors[key]);
-    Object.keys(touched).forEach(key => delete touched[key]);
-    Object.keys(dirty).forEach(key => delete dirty[key]);
-    
-    Object.assign(values, resetTo);
-    
-    if (newInitialValues) {
-      Object.assign(initialValues, newInitialValues);
-    }
+    batch(() => {
+      Object.keys(values).forEach(key => delete values[key]);
+      Object.keys(errors).forEach(key => delete errors[key]);
+      Object.keys(touched).forEach(key => delete touched[key]);
+      Object.keys(dirty).forEach(key => delete dirty[key]);
+      
+      Object.assign(values, resetTo);
+      
+      if (newInitialValues) {
+        Object.assign(initialValues, newInitialValues);
+      }
 
-    submitError.value = null;
+      submitError.value = null;
+    });
   }
 
   /**
@@ -0,0 +1,204 @@
+/**
+ * MonkeysJS - Auth
+ * Bearer tokens for the HTTP client with single-flight refresh and request replay
+ */
+
+import { shallowRef } from '../core/reactive.js';
+import { useWebSocket } from './websocket.js';
+import { getHeader } from './cache.js';
+
+/**
+ * Add token authentication to a client
+ * Requests get the Authorization header; on a 401 the token is refreshed once, however many
+ * requests failed, and every failed request is replayed with the new token. Requests made
+ * while a refresh is in flight wait for it. Pass skipAuth: true in a request config (e.g. the
+ * refresh call itself) to leave it alone.
+ * @param {Object} client - Client from createClient(); children created with extend() inherit it
+ * @param {Object} options - { getToken, refreshToken, onRefreshFailed, scheme, header, shouldRefresh }
+ * @returns {Object} - Token state and helpers
+ */
+export function withAuth(client, options = {}) {
+  const {
+    getToken,
+    refreshToken,
+    onRefreshFailed,
+    scheme = 'Bearer',
+    header = 'Authorization',
+    shouldRefresh = error => error?.status === 401
+  } = options;
+
+  // Token from the last refresh or setToken(); getToken() is used while it is empty
+  const token = shallowRef(null);
+  let refreshing = null;
+
+  const currentToken = async () => {
+    if (token.value != null) return token.value;
+    return getToken ? getToken() : null;
+  };
+
+  /**
+   * Resolve the token to send, waiting for an in-flight refresh first
+   */
+  async function resolveToken() {
+    if (refreshing) {
+      await refreshing.catch(() => {});
+    }
+    return currentToken();
+  }
+
+  /**
+   * Refresh the token; concurrent callers share one refresh
+   * @returns {Promise<string>} - The new token
+   */
+  function refresh() {
+    if (!refreshToken) {
+      return Promise.reject(new Error('MonkeysJS: withAuth() needs a refreshToken option to refresh.'));
+    }
+
+    if (!refreshing) {
+      refreshing = (async () => {
+        try {
+          const next = await refreshToken();
+          if (next !== undefined) {
+            token.value = next;
+          }
+          return currentToken();
+        } catch (error) {
+          token.value = null;
+          if (onRefreshFailed) {
+            await onRefreshFailed(error);
+          }
+          throw error;
+        } finally {
+          refreshing = null;
+        }
+      })();
+    }
+
+    return refreshing;
+  }
+
+  const formatToken = value => scheme ? `${scheme} ${value}` : value;
+
+  const requestId = client.interceptors.request.use(async (config) => {
+    // An explicit header wins
+    if (config.skipAuth || getHeader(config.headers, header) !== undefined) {
+      return config;
+    }
+
+    const value = await resolveToken();
+    if (value == null || value === '') {
+      return config;
+    }
+
+    return { ...config, headers: { ...config.headers, [header]: formatToken(value) } };
+  });
+
+  const responseId = client.interceptors.response.use(
+    response => response,
+    async (error, config, origin = client) => {
+      if (!config || config.skipAuth || config.authReplay || !refreshToken || !shouldRefresh(error)) {
+        throw error;
+      }
+
+      // A request sent with an older token than the current one only needs a replay
+      const sent = getHeader(config.headers, header);
+      const latest = await currentToken();
+      if (latest == null || sent === formatToken(latest)) {
+        try {
+          await refresh();
+        } catch {
+          throw error;
+        }
+      }
+
+      const headers = { ...config.headers };
+      Object.keys(headers).forEach(name => {
+        if (name.toLowerCase() === header.toLowerCase()) delete headers[name];
+      });
+
+      // Replay through the client that issued the request, so an extend() child keeps its
+      // cancellation, cache and interceptors
+      return origin.request({ ...config, headers, authReplay: true });
+    }
+  );
+
+  /**
+   * Add the token to a WebSocket URL when it is sent as a query parameter
+   */
+  function socketTarget(url, via, param, value) {
+    if (via !== 'query' || value == null) return url;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}${encodeURIComponent(param)}=${encodeURIComponent(value)}`;
+  }
+
+  return {
+    token,
+
+    /**
+     * Resolve the current token
+     */
+    getToken: resolveToken,
+
+    refresh,
+
+    /**
+     * Set the token, e.g. after login
+     */
+    setToken(value) {
+      token.value = value;
+    },
+
+    /**
+     * Forget the token, e.g. on logout
+     */
+    clearToken() {
+      token.value = null;
+    },
+
+    /**
+     * Open a WebSocket that carries the token; every connect and reconnect resolves it again
+     * @param {string} url - WebSocket URL
+     * @param {Object} socketOptions - useWebSocket options plus via ('query' | 'protocol'), param and protocol
+     * @returns {Object} - The useWebSocket connection
+     */
+    useWebSocket(url, socketOptions = {}) {
+      const {
+        via = 'query',
+        param = 'access_token',
+        protocol = value => [scheme ? scheme.toLowerCase() : 'token', value],
+        protocols = [],
+        ...rest
+      } = socketOptions;
+
+      // Resolved once per connect and shared by the URL and the subprotocols
+      let connectToken = null;
+
+      return useWebSocket(() => {
+        connectToken = resolveToken();
+        return connectToken.then(value => socketTarget(url, via, param, value));
+      }, {
+        ...rest,
+        protocols: () => {
+          const base = typeof protocols === 'function' ? protocols() : protocols;
+          return Promise.all([connectToken, base]).then(([value, resolvedBase]) => {
+            if (via !== 'protocol' || value == null) return resolvedBase;
+            return [...protocol(value), ...[].concat(resolvedBase)];
+          });
+        }
+      });
+    },
+
+    /**
+     * Remove the interceptors from the client
+     */
+    eject() {
+      client.interceptors.request.eject(requestId);
+      client.interceptors.response.eject(responseId);
+    }
+  };
+}
+
+export default {
+  withAuth
+};
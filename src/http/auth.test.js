@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { withAuth } from './auth';
+import { createClient, HttpError } from './client';
+import { createMockAdapter } from './mock';
+
+describe('withAuth', () => {
+  let mock;
+  let client;
+  let valid;
+
+  beforeEach(() => {
+    valid = 'fresh';
+    mock = createMockAdapter();
+    mock.onGet(/\/api\//).reply(request => (request.headers.Authorization ?? request.headers.authorization) === `Bearer ${valid}`
+      ? [200, { path: request.path }]
+      : [401, { message: 'expired' }]);
+    client = createClient({ adapter: mock });
+  });
+
+  it('should inject the Authorization header', async () => {
+    withAuth(client, { getToken: () => 'fresh' });
+
+    await client.get('/api/me');
+    expect(mock.history.get[0].headers.Authorization).toBe('Bearer fresh');
+  });
+
+  it('should keep explicit headers and skip requests marked skipAuth', async () => {
+    withAuth(client, { getToken: () => 'fresh', scheme: 'Token' });
+
+    await client.get('/public', { skipAuth: true }).catch(() => {});
+    await client.get('/api/me', { headers: { authorization: 'Bearer fresh' } });
+
+    expect(mock.history.get[0].headers.Authorization).toBeUndefined();
+    expect(mock.history.get[1].headers.Authorization).toBeUndefined();
+    expect(mock.history.get[1].headers.authorization).toBe('Bearer fresh');
+  });
+
+  it('should refresh once for concurrent 401s and replay every request', async () => {
+    let resolveRefresh;
+    const refreshToken = vi.fn(() => new Promise(resolve => {
+      resolveRefresh = () => resolve('fresh');
+    }));
+    valid = 'other';
+    const auth = withAuth(client, { getToken: () => 'stale', refreshToken });
+
+    const requests = [client.get('/api/a'), client.get('/api/b'), client.get('/api/c')];
+    await vi.waitFor(() => expect(refreshToken).toHaveBeenCalled());
+    valid = 'fresh';
+
+    // A request started during the refresh waits for it
+    const late = client.get('/api/d');
+    resolveRefresh();
+
+    const responses = await Promise.all([...requests, late]);
+    expect(responses.map(response => response.data.path)).toEqual(['/api/a', '/api/b', '/api/c', '/api/d']);
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(auth.token.value).toBe('fresh');
+    expect(mock.history.get.filter(request => request.path === '/api/d')).toHaveLength(1);
+  });
+
+  it('should give up when the refresh fails', async () => {
+    valid = 'never';
+    const onRefreshFailed = vi.fn();
+    const refreshError = new Error('refresh token expired');
+    withAuth(client, {
+      getToken: () => 'stale',
+      refreshToken: vi.fn().mockRejectedValue(refreshError),
+      onRefreshFailed
+    });
+
+    const error = await client.get('/api/me').catch(e => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(401);
+    expect(onRefreshFailed).toHaveBeenCalledWith(refreshError);
+  });
+
+  it('should not loop when the replay is rejected too', async () => {
+    valid = 'never';
+    const refreshToken = vi.fn(async () => 'still-wrong');
+    withAuth(client, { getToken: () => 'stale', refreshToken });
+
+    await expect(client.get('/api/me')).rejects.toMatchObject({ status: 401 });
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(mock.history.get).toHaveLength(2);
+  });
+
+  it('should apply to extended clients and stop after eject', async () => {
+    const auth = withAuth(client, { getToken: () => 'fresh' });
+    const child = client.extend({ baseURL: '' });
+
+    await child.get('/api/child');
+    auth.eject();
+    await client.get('/api/after').catch(() => {});
+
+    expect(mock.history.get[0].headers.Authorization).toBe('Bearer fresh');
+    expect(mock.history.get[1].headers.Authorization).toBeUndefined();
+  });
+
+  it('should replay through the extended client that issued the request', async () => {
+    mock.onGet('/child/slow').replyOnce(401).onGet('/child/slow').timeout();
+    withAuth(client, { getToken: () => 'stale', refreshToken: async () => 'fresh' });
+    const child = client.extend();
+
+    const pending = child.get('/child/slow');
+    await vi.waitFor(() => expect(mock.history.get).toHaveLength(2));
+
+    expect(mock.history.get[1].headers.Authorization).toBe('Bearer fresh');
+    expect(client.cancelAll()).toBe(0);
+    expect(child.cancelAll()).toBe(1);
+    await expect(pending).rejects.toMatchObject({ aborted: true });
+  });
+
+  describe('WebSocket', () => {
+    let sockets;
+
+    beforeEach(() => {
+      sockets = [];
+      global.WebSocket = vi.fn((url, protocols) => {
+        const socket = { url, protocols, send: vi.fn(), close: vi.fn(), readyState: 0 };
+        sockets.push(socket);
+        return socket;
+      });
+      global.WebSocket.OPEN = 1;
+    });
+
+    afterEach(() => {
+      delete global.WebSocket;
+    });
+
+    it('should pass the token as a query parameter', async () => {
+      const auth = withAuth(client, { getToken: async () => 'abc' });
+
+      auth.useWebSocket('wss://example.com/live?room=1');
+      await vi.waitFor(() => expect(sockets).toHaveLength(1));
+
+      expect(sockets[0].url).toBe('wss://example.com/live?room=1&access_token=abc');
+    });
+
+    it('should call getToken again on every reconnect', async () => {
+      let issued = 0;
+      const auth = withAuth(client, { getToken: async () => `t${++issued}` });
+
+      auth.useWebSocket('wss://example.com/live', { reconnectDelay: 0 });
+      await vi.waitFor(() => expect(sockets).toHaveLength(1));
+      sockets[0].onclose({});
+      await vi.waitFor(() => expect(sockets).toHaveLength(2));
+
+      expect(sockets[0].url).toBe('wss://example.com/live?access_token=t1');
+      expect(sockets[1].url).toBe('wss://example.com/live?access_token=t2');
+    });
+
+    it('should pass the token as a subprotocol', async () => {
+      const auth = withAuth(client, { getToken: () => 'abc' });
+      auth.setToken('xyz');
+
+      auth.useWebSocket('wss://example.com/live', { via: 'protocol', protocols: ['json'] });
+      await vi.waitFor(() => expect(sockets).toHaveLength(1));
+
+      expect(sockets[0].url).toBe('wss://example.com/live');
+      expect(sockets[0].protocols).toEqual(['bearer', 'xyz', 'json']);
+    });
+  });
+});
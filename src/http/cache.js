@@ -0,0 +1,263 @@
+/**
+ * MonkeysJS - HTTP Cache
+ * Response cache following HTTP caching semantics: Cache-Control freshness,
+ * ETag / Last-Modified revalidation and Vary-aware keys, optionally persisted to IndexedDB
+ */
+
+import { createIndexedDB } from '../utils/storage.js';
+
+/**
+ * Parse a Cache-Control header into a map of directives
+ * @param {string} header - The header value
+ * @returns {Object} - e.g. { 'max-age': 60, 'no-cache': true }
+ */
+export function parseCacheControl(header) {
+  const directives = {};
+  if (!header) return directives;
+
+  header.split(',').forEach(part => {
+    const [name, value] = part.trim().split('=');
+    if (!name) return;
+    const key = name.toLowerCase();
+    if (value === undefined) {
+      directives[key] = true;
+    } else {
+      const unquoted = value.replace(/^"|"$/g, '');
+      directives[key] = /^\d+$/.test(unquoted) ? Number(unquoted) : unquoted;
+    }
+  });
+
+  return directives;
+}
+
+/**
+ * Read a header case-insensitively from a plain object
+ */
+export function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const lower = name.toLowerCase();
+  const key = Object.keys(headers).find(k => k.toLowerCase() === lower);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Seconds a response stays fresh, from max-age or Expires
+ */
+function getFreshnessLifetime(headers, directives) {
+  if (typeof directives['max-age'] === 'number') {
+    return directives['max-age'];
+  }
+
+  const expires = getHeader(headers, 'expires');
+  if (expires) {
+    const date = Date.parse(getHeader(headers, 'date')) || Date.now();
+    const expiresAt = Date.parse(expires);
+    return Number.isNaN(expiresAt) ? 0 : Math.max(0, (expiresAt - date) / 1000);
+  }
+
+  return 0;
+}
+
+/**
+ * Create an HTTP cache
+ * @param {Object} options - { persist: IndexedDB wrapper from createIndexedDB() or true, storeName }
+ * @returns {Object} - The cache
+ */
+export function createHttpCache(options = {}) {
+  const { storeName = 'responses' } = options;
+  let persist = options.persist === true ? createIndexedDB('monkeysjs-http-cache') : options.persist || null;
+
+  // Entries by variant key, and the Vary header names last seen for each base key
+  const entries = new Map();
+  const varyIndex = new Map();
+  let hydrated = null;
+
+  /**
+   * Load persisted entries once; persistence is switched off if IndexedDB fails
+   */
+  function hydrate() {
+    if (!persist) return Promise.resolve();
+    if (hydrated) return hydrated;
+
+    hydrated = persist.open([{ name: storeName, options: { keyPath: 'key' } }])
+      .then(() => persist.getAll(storeName))
+      .then(stored => {
+        stored.forEach(entry => {
+          if (!entries.has(entry.key)) {
+            entries.set(entry.key, entry);
+            varyIndex.set(entry.baseKey, entry.vary);
+          }
+        });
+      })
+      .catch(error => {
+        console.warn('MonkeysJS: HTTP cache persistence is unavailable:', error);
+        persist = null;
+      });
+
+    return hydrated;
+  }
+
+  const write = (entry) => {
+    if (persist && !entry.private) {
+      persist.set(storeName, entry).catch(() => {});
+    }
+  };
+
+  const remove = (key) => {
+    if (persist) {
+      persist.delete(storeName, key).catch(() => {});
+    }
+  };
+
+  /**
+   * Key for the variant selected by the request headers named in Vary
+   */
+  function variantKey(baseKey, vary, requestHeaders) {
+    if (!vary.length) return baseKey;
+    return `${baseKey}|${vary.map(name => `${name}=${getHeader(requestHeaders, name) ?? ''}`).join('&')}`;
+  }
+
+  /**
+   * Compute freshness and validators for a response
+   */
+  function describe(responseHeaders, now) {
+    const directives = parseCacheControl(getHeader(responseHeaders, 'cache-control'));
+    const age = Number(getHeader(responseHeaders, 'age')) || 0;
+    const lifetime = directives['no-cache'] ? 0 : getFreshnessLifetime(responseHeaders, directives) - age;
+
+    return {
+      directives,
+      expiresAt: now + Math.max(0, lifetime) * 1000,
+      etag: getHeader(responseHeaders, 'etag') || null,
+      lastModified: getHeader(responseHeaders, 'last-modified') || null
+    };
+  }
+
+  return {
+    /**
+     * Find the cached variant for a request
+     * @returns {Promise<Object|null>} - The entry, fresh or stale
+     */
+    async match(baseKey, requestHeaders) {
+      await hydrate();
+      const vary = varyIndex.get(baseKey);
+      if (!vary) return null;
+      return entries.get(variantKey(baseKey, vary, requestHeaders)) || null;
+    },
+
+    /**
+     * Whether an entry can be served without revalidation
+     */
+    isFresh(entry) {
+      return Date.now() < entry.expiresAt;
+    },
+
+    /**
+     * Conditional request headers for revalidating an entry
+     */
+    validators(entry) {
+      const headers = {};
+      if (entry.etag) headers['If-None-Match'] = entry.etag;
+      if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+      return headers;
+    },
+
+    /**
+     * Store a response, or drop the variant when the response forbids caching
+     * @param {string} baseKey - Key for the method and URL
+     * @param {Object} requestHeaders - Headers the request was sent with
+     * @param {Object} response - { data, status, statusText, headers }
+     */
+    store(baseKey, requestHeaders, response) {
+      const now = Date.now();
+      const { directives, expiresAt, etag, lastModified } = describe(response.headers, now);
+      const varyHeader = getHeader(response.headers, 'vary') || '';
+      const vary = varyHeader.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+      const key = variantKey(baseKey, vary, requestHeaders);
+
+      // Nothing to reuse: no freshness and no way to revalidate
+      const useless = expiresAt <= now && !etag && !lastModified;
+
+      if (directives['no-store'] || vary.includes('*') || useless) {
+        entries.delete(key);
+        remove(key);
+        return;
+      }
+
+      const entry = {
+        key,
+        baseKey,
+        vary,
+        response: {
+          data: response.data,
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers
+        },
+        storedAt: now,
+        expiresAt,
+        etag,
+        lastModified,
+        // private responses are kept in memory only
+        private: Boolean(directives.private)
+      };
+
+      entries.set(key, entry);
+      varyIndex.set(baseKey, vary);
+      write(entry);
+    },
+
+    /**
+     * Refresh an entry after a 304 Not Modified
+     * @param {Object} entry - The revalidated entry
+     * @param {Object} responseHeaders - Headers of the 304 response
+     * @returns {Object} - The updated entry
+     */
+    revalidated(entry, responseHeaders) {
+      const now = Date.now();
+      const headers = { ...entry.response.headers, ...responseHeaders };
+      const { directives, expiresAt, etag, lastModified } = describe(headers, now);
+
+      const updated = {
+        ...entry,
+        response: { ...entry.response, headers },
+        storedAt: now,
+        expiresAt,
+        etag: etag || entry.etag,
+        lastModified: lastModified || entry.lastModified,
+        private: entry.private || Boolean(directives.private)
+      };
+
+      entries.set(entry.key, updated);
+      write(updated);
+      return updated;
+    },
+
+    delete(baseKey) {
+      entries.forEach((entry, key) => {
+        if (entry.baseKey === baseKey) {
+          entries.delete(key);
+          remove(key);
+        }
+      });
+      varyIndex.delete(baseKey);
+    },
+
+    clear() {
+      entries.clear();
+      varyIndex.clear();
+      if (persist) {
+        hydrate().then(() => persist && persist.clear(storeName)).catch(() => {});
+      }
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+export default {
+  createHttpCache,
+  parseCacheControl
+};
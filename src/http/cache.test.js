@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createHttpCache, parseCacheControl } from './cache';
+
+const response = (headers, data = 'body') => ({ data, status: 200, statusText: 'OK', headers });
+
+/**
+ * In-memory stand-in for the createIndexedDB() wrapper
+ */
+function createFakeDB(initial = []) {
+  const rows = new Map(initial.map(row => [row.key, row]));
+  return {
+    rows,
+    open: vi.fn(async () => {}),
+    getAll: vi.fn(async () => [...rows.values()]),
+    set: vi.fn(async (store, value) => rows.set(value.key, value)),
+    delete: vi.fn(async (store, key) => rows.delete(key)),
+    clear: vi.fn(async () => rows.clear())
+  };
+}
+
+describe('HTTP Cache', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should parse Cache-Control directives', () => {
+    expect(parseCacheControl('public, max-age=60, no-cache="Set-Cookie"')).toEqual({
+      public: true,
+      'max-age': 60,
+      'no-cache': 'Set-Cookie'
+    });
+    expect(parseCacheControl(undefined)).toEqual({});
+  });
+
+  it('should keep responses fresh for max-age minus age', async () => {
+    vi.useFakeTimers();
+    const cache = createHttpCache();
+    cache.store('GET:/a', {}, response({ 'cache-control': 'max-age=60', age: '10' }));
+
+    const entry = await cache.match('GET:/a', {});
+    expect(cache.isFresh(entry)).toBe(true);
+
+    vi.advanceTimersByTime(50_000);
+    expect(cache.isFresh(entry)).toBe(false);
+  });
+
+  it('should not store no-store responses or responses it cannot reuse', async () => {
+    const cache = createHttpCache();
+    cache.store('GET:/a', {}, response({ 'cache-control': 'no-store, max-age=60' }));
+    cache.store('GET:/b', {}, response({}));
+
+    expect(await cache.match('GET:/a', {})).toBeNull();
+    expect(await cache.match('GET:/b', {})).toBeNull();
+  });
+
+  it('should keep validators for revalidation', async () => {
+    const cache = createHttpCache();
+    cache.store('GET:/a', {}, response({
+      etag: '"v1"',
+      'last-modified': 'Tue, 01 Sep 2026 00:00:00 GMT',
+      'cache-control': 'no-cache'
+    }));
+
+    const entry = await cache.match('GET:/a', {});
+    expect(cache.isFresh(entry)).toBe(false);
+    expect(cache.validators(entry)).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Tue, 01 Sep 2026 00:00:00 GMT'
+    });
+
+    const updated = cache.revalidated(entry, { 'cache-control': 'max-age=30', etag: '"v1"' });
+    expect(cache.isFresh(updated)).toBe(true);
+    expect(updated.response.data).toBe('body');
+  });
+
+  it('should key variants by the request headers named in Vary', async () => {
+    const cache = createHttpCache();
+    const headers = { 'cache-control': 'max-age=60', vary: 'Accept-Language' };
+    cache.store('GET:/a', { 'Accept-Language': 'en' }, response(headers, 'hello'));
+    cache.store('GET:/a', { 'Accept-Language': 'fr' }, response(headers, 'bonjour'));
+
+    expect((await cache.match('GET:/a', { 'accept-language': 'fr' })).response.data).toBe('bonjour');
+    expect((await cache.match('GET:/a', { 'Accept-Language': 'en' })).response.data).toBe('hello');
+    expect(await cache.match('GET:/a', { 'Accept-Language': 'de' })).toBeNull();
+  });
+
+  it('should persist shared responses and restore them', async () => {
+    const db = createFakeDB();
+    const cache = createHttpCache({ persist: db });
+    await cache.match('GET:/a', {});
+
+    cache.store('GET:/a', {}, response({ 'cache-control': 'max-age=60' }));
+    cache.store('GET:/me', {}, response({ 'cache-control': 'private, max-age=60' }));
+    await Promise.resolve();
+
+    expect(db.open).toHaveBeenCalledWith([{ name: 'responses', options: { keyPath: 'key' } }]);
+    expect([...db.rows.keys()]).toEqual(['GET:/a']);
+
+    const restored = createHttpCache({ persist: createFakeDB([...db.rows.values()]) });
+    expect((await restored.match('GET:/a', {})).response.data).toBe('body');
+  });
+
+  it('should fall back to memory when IndexedDB is unavailable', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const db = createFakeDB();
+    db.open.mockRejectedValueOnce(new Error('IndexedDB not available'));
+
+    const cache = createHttpCache({ persist: db });
+    expect(await cache.match('GET:/a', {})).toBeNull();
+
+    cache.store('GET:/a', {}, response({ 'cache-control': 'max-age=60' }));
+    expect(await cache.match('GET:/a', {})).not.toBeNull();
+    expect(db.set).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalled();
+  });
+});
@@ -3,7 +3,10 @@
  * Full-featured HTTP client with caching, retries, deduplication, and more
  */
 
-import { reactive, ref } from '../core/reactive.js';
+import {
+  reactive, ref, shallowRef, computed, watch, unref, getCurrentScope, onScopeDispose
+} from '../core/reactive.js';
+import { createHttpCache, parseCacheControl, getHeader } from './cache.js';
 
 // Request states
 export const RequestState = {
@@ -22,26 +25,21 @@ const defaultConfig = {
   },
   retries: 0,
   retryDelay: 1000,
-  retryBackoff: 'exponential', // 'linear' | 'exponential'
-  retryCondition: (error) => error.status >= 500 || error.status === 0,
+  retryDelayMax: 30000,
+  retryBackoff: 'exponential', // 'linear' | 'exponential' | 'full-jitter' | 'decorrelated-jitter'
+  retryCondition: (error) => error.status >= 500 || error.status === 429 || error.status === 0,
+  // Other methods only retry when the request carries an Idempotency-Key
+  retryMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  idempotencyKey: false, // true | string | (config) => string
+  onRetry: null, // (error, { attempt, delay, config }) => void
   cache: false,
   cacheTTL: 5 * 60 * 1000, // 5 minutes
   dedupeRequests: true,
   credentials: 'same-origin',
-  responseType: 'json' // 'json' | 'text' | 'blob' | 'arrayBuffer'
+  responseType: 'json', // 'json' | 'text' | 'blob' | 'arrayBuffer' | 'formData' | 'stream'
+  adapter: 'fetch' // 'fetch' | 'xhr' | (url, init, config) => Promise<Response>
 };
 
-// Request interceptors
-const requestInterceptors = [];
-const responseInterceptors = [];
-
-// Cache storage
-const cache = new Map();
-const cacheTimestamps = new Map();
-
-// In-flight requests for deduplication
-const pendingRequests = new Map();
-
 /**
  * HTTP Error class
  */
@@ -66,10 +64,10 @@ function getCacheKey(config) {
 /**
  * Check if cache entry is valid
  */
-function isCacheValid(key, ttl) {
-  const timestamp = cacheTimestamps.get(key);
-  if (!timestamp) return false;
-  return Date.now() - timestamp < ttl;
+function isCacheValid(context, key) {
+  const expiresAt = context.cacheExpiry.get(key);
+  if (!expiresAt) return false;
+  return Date.now() < expiresAt;
 }
 
 /**
@@ -97,29 +95,236 @@ function buildURL(baseURL, url, params) {
 }
 
 /**
- * Sleep utility for retry delay
+ * Sleep utility for retry delay, cut short when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Combine abort signals into one that aborts when any of them does
+ * Falls back to manual wiring where AbortSignal.any is unavailable.
+ * @returns {{ signal: AbortSignal, cleanup: Function }}
+ */
+function anySignal(signals) {
+  const list = signals.filter(Boolean);
+
+  if (list.length === 1) {
+    return { signal: list[0], cleanup() {} };
+  }
+
+  if (typeof AbortSignal.any === 'function') {
+    return { signal: AbortSignal.any(list), cleanup() {} };
+  }
+
+  const controller = new AbortController();
+  const removers = [];
+
+  for (const signal of list) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    removers.push(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  return {
+    signal: controller.signal,
+    cleanup: () => removers.forEach(remove => remove())
+  };
+}
+
+/**
+ * Track in-flight requests so they can be cancelled by group, by key or all at once
+ */
+function createCancelRegistry() {
+  const active = new Map();
+  const latestByKey = new Map();
+
+  return {
+    /**
+     * Register a request, aborting the previous one with the same key
+     * @returns {{ signal: AbortSignal, release: Function }}
+     */
+    register(group, key) {
+      if (key !== undefined && latestByKey.has(key)) {
+        latestByKey.get(key).abort();
+      }
+
+      const controller = new AbortController();
+      active.set(controller, group);
+      if (key !== undefined) {
+        latestByKey.set(key, controller);
+      }
+
+      return {
+        signal: controller.signal,
+        release() {
+          active.delete(controller);
+          if (latestByKey.get(key) === controller) {
+            latestByKey.delete(key);
+          }
+        }
+      };
+    },
+
+    cancel(group, reason) {
+      let count = 0;
+      active.forEach((controllerGroup, controller) => {
+        if (controllerGroup === group && !controller.signal.aborted) {
+          controller.abort(reason);
+          count++;
+        }
+      });
+      return count;
+    },
+
+    cancelAll(reason) {
+      let count = 0;
+      active.forEach((group, controller) => {
+        // Requests cancelled earlier stay registered until they settle
+        if (!controller.signal.aborted) {
+          controller.abort(reason);
+          count++;
+        }
+      });
+      return count;
+    }
+  };
+}
+
+/**
+ * Calculate retry delay, capped at maxDelay
+ * Decorrelated jitter grows from the previous delay rather than the attempt number.
+ */
+function getRetryDelay(attempt, baseDelay, backoff, maxDelay = Infinity, previousDelay = baseDelay) {
+  let delay;
+
+  switch (backoff) {
+    case 'full-jitter':
+      delay = Math.random() * Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+      break;
+    case 'decorrelated-jitter':
+      delay = baseDelay + Math.random() * (previousDelay * 3 - baseDelay);
+      break;
+    case 'exponential':
+      delay = baseDelay * Math.pow(2, attempt);
+      break;
+    default:
+      delay = baseDelay * (attempt + 1);
+  }
+
+  return Math.round(Math.min(delay, maxDelay));
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
 }
 
 /**
- * Calculate retry delay
+ * Generate a key for the Idempotency-Key header
  */
-function getRetryDelay(attempt, baseDelay, backoff) {
-  if (backoff === 'exponential') {
-    return baseDelay * Math.pow(2, attempt);
+function generateIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
   }
-  return baseDelay * (attempt + 1);
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Create an interceptor chain with stable IDs
+ */
+function createInterceptorManager() {
+  const handlers = new Map();
+  let nextId = 0;
+
+  return {
+    use(fulfilled, rejected) {
+      const id = nextId++;
+      handlers.set(id, { fulfilled, rejected });
+      return id;
+    },
+    eject(id) {
+      handlers.delete(id);
+    },
+    clear() {
+      handlers.clear();
+    },
+    list() {
+      return [...handlers.values()];
+    }
+  };
+}
+
+/**
+ * Create the per-client state: interceptors, cache, in-flight requests and cancellation
+ * An extended client inherits its parent's interceptors.
+ */
+function createContext(parent = null, config = {}) {
+  return {
+    parent,
+    interceptors: {
+      request: createInterceptorManager(),
+      response: createInterceptorManager()
+    },
+    cache: new Map(),
+    cacheExpiry: new Map(),
+    httpCache: createHttpCache({ persist: config.cachePersist }),
+    pendingRequests: new Map(),
+    registry: createCancelRegistry(),
+    client: null
+  };
+}
+
+/**
+ * Collect request interceptors, parents first
+ */
+function getRequestInterceptors(context) {
+  const own = context.interceptors.request.list();
+  return context.parent ? [...getRequestInterceptors(context.parent), ...own] : own;
+}
+
+/**
+ * Collect response interceptors, parents last
+ */
+function getResponseInterceptors(context) {
+  const own = context.interceptors.response.list();
+  return context.parent ? [...own, ...getResponseInterceptors(context.parent)] : own;
 }
 
 /**
  * Run request interceptors
  */
-async function runRequestInterceptors(config) {
+async function runRequestInterceptors(config, interceptors) {
   let currentConfig = { ...config };
   
-  for (const interceptor of requestInterceptors) {
+  for (const interceptor of interceptors) {
     try {
       currentConfig = await interceptor.fulfilled(currentConfig);
     } catch (error) {
@@ -136,16 +341,17 @@ async function runRequestInterceptors(config) {
 
 /**
  * Run response interceptors
+ * Rejected handlers also get the client that issued the request, for replaying it.
  */
-async function runResponseInterceptors(response, config) {
+async function runResponseInterceptors(response, config, interceptors, client) {
   let currentResponse = response;
   
-  for (const interceptor of responseInterceptors) {
+  for (const interceptor of interceptors) {
     try {
       currentResponse = await interceptor.fulfilled(currentResponse, config);
     } catch (error) {
       if (interceptor.rejected) {
-        currentResponse = await interceptor.rejected(error, config);
+        currentResponse = await interceptor.rejected(error, config, client);
       } else {
         throw error;
       }
@@ -180,10 +386,238 @@ async function parseResponse(response, type) {
   }
 }
 
+/**
+ * Progress event payload
+ */
+function progressEvent(loaded, total) {
+  return {
+    loaded,
+    total,
+    percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : null
+  };
+}
+
+/**
+ * Wrap a body stream so every chunk read reports download progress
+ */
+function trackDownload(body, total, onDownloadProgress) {
+  const reader = body.getReader();
+  let loaded = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+        return;
+      }
+      loaded += value.byteLength;
+      onDownloadProgress(progressEvent(loaded, total));
+      controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+}
+
+/**
+ * Iterate the chunks of a body stream; breaking out of the loop cancels the body
+ */
+async function* readChunks(body, onDone, mapError) {
+  const reader = body.getReader();
+  let finished = false;
+
+  try {
+    while (true) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        finished = true;
+        throw mapError(error);
+      }
+      if (chunk.done) {
+        finished = true;
+        return;
+      }
+      yield chunk.value;
+    }
+  } finally {
+    if (!finished) {
+      await reader.cancel().catch(() => {});
+    }
+    onDone();
+  }
+}
+
+/**
+ * Decode byte chunks into text
+ */
+async function* decodeText(chunks) {
+  const decoder = new TextDecoder();
+  for await (const chunk of chunks) {
+    const text = decoder.decode(chunk, { stream: true });
+    if (text) yield text;
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+/**
+ * Decode byte chunks into lines, without line endings
+ */
+async function* decodeLines(chunks) {
+  let buffer = '';
+  for await (const text of decodeText(chunks)) {
+    buffer += text;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    yield* lines;
+  }
+  if (buffer) yield buffer;
+}
+
+/**
+ * Decode newline-delimited JSON into values, skipping blank lines
+ */
+async function* decodeNDJSON(chunks) {
+  for await (const line of decodeLines(chunks)) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+const streamDecoders = {
+  text: decodeText,
+  lines: decodeLines,
+  ndjson: decodeNDJSON
+};
+
+/**
+ * Bodies sent as they are instead of being JSON-encoded
+ */
+function isRawBody(data) {
+  return (typeof Blob !== 'undefined' && data instanceof Blob) ||
+    (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data);
+}
+
+/**
+ * Parse the raw header block returned by XMLHttpRequest
+ */
+function parseXHRHeaders(raw) {
+  const headers = new Headers();
+  (raw || '').trim().split(/[\r\n]+/).forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+    }
+  });
+  return headers;
+}
+
+/**
+ * fetch()-compatible transport over XMLHttpRequest, used when upload progress is requested
+ * Resolves to a Response so the rest of the pipeline is unchanged.
+ */
+function xhrFetch(url, options) {
+  const { method, headers = {}, body, credentials, signal, onUploadProgress } = options;
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.responseType = 'arraybuffer';
+    xhr.withCredentials = credentials === 'include';
+
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    if (onUploadProgress && xhr.upload) {
+      xhr.upload.onprogress = (event) => {
+        onUploadProgress(progressEvent(event.loaded, event.lengthComputable ? event.total : 0));
+      };
+    }
+
+    const onAbort = () => xhr.abort();
+
+    xhr.onload = () => {
+      signal?.removeEventListener('abort', onAbort);
+      const noBody = [101, 204, 205, 304].includes(xhr.status);
+      resolve(new Response(noBody ? null : (xhr.response ?? xhr.responseText), {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: parseXHRHeaders(xhr.getAllResponseHeaders())
+      }));
+    };
+
+    xhr.onerror = () => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(new TypeError('Network request failed'));
+    };
+
+    xhr.onabort = () => {
+      reject(new DOMException('The request was aborted', 'AbortError'));
+    };
+
+    if (signal?.aborted) {
+      xhr.abort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    xhr.send(body ?? null);
+  });
+}
+
+/**
+ * Built-in transports, called as (url, init, config) and resolving to a Response
+ */
+const adapters = {
+  fetch(url, init) {
+    const { onUploadProgress, ...options } = init;
+    return fetch(url, options);
+  },
+  xhr: xhrFetch
+};
+
+/**
+ * Pick the transport for a request
+ * The default fetch transport cannot report upload progress, so it defers to XHR then.
+ */
+function resolveAdapter(adapter = 'fetch', onUploadProgress) {
+  if (typeof adapter === 'function') return adapter;
+  if (!adapters[adapter]) {
+    throw new Error(`MonkeysJS: Unknown HTTP adapter "${adapter}"`);
+  }
+  // Upload progress needs XHR; without it (Node, SSR) uploads go through fetch without progress
+  const canTrackUpload = onUploadProgress && typeof XMLHttpRequest !== 'undefined';
+  return adapter === 'fetch' && canTrackUpload ? adapters.xhr : adapters[adapter];
+}
+
+/**
+ * Register a request for cancelAll(), cancel(group) and abort-previous
+ */
+function registerRequest(config, context) {
+  const { method = 'GET', baseURL = '', url, cancelGroup, abortPrevious } = config;
+  const abortKey = abortPrevious === true ? `${method}:${baseURL}${url}` : (abortPrevious || undefined);
+  return context.registry.register(cancelGroup, abortKey);
+}
+
+/**
+ * Error for a request aborted by a signal or cancellation
+ */
+function createAbortedError(requestInfo) {
+  const error = new HttpError('Request aborted', 0, null, requestInfo);
+  error.aborted = true;
+  return error;
+}
+
 /**
  * Core fetch function with all features
+ * The registration from registerRequest() is released once the request settles.
  */
-async function coreFetch(config) {
+async function coreFetch(config, context, registration) {
+  const { cache, cacheExpiry, httpCache, pendingRequests } = context;
   const finalConfig = { ...defaultConfig, ...config };
   const {
     baseURL,
@@ -196,7 +630,11 @@ async function coreFetch(config) {
     retries,
     retryDelay,
     retryBackoff,
+    retryDelayMax,
     retryCondition,
+    retryMethods,
+    idempotencyKey,
+    onRetry,
     cache: useCache,
     cacheTTL,
     dedupeRequests,
@@ -204,41 +642,69 @@ async function coreFetch(config) {
     responseType,
     onUploadProgress,
     onDownloadProgress,
+    streamDecoder,
+    adapter,
     signal: externalSignal
   } = finalConfig;
 
   const fullURL = buildURL(baseURL, url, params);
   const cacheKey = getCacheKey({ method, url: fullURL, params, data });
+  const requestInfo = { url: fullURL, method, data };
 
-  // Check cache for GET requests
-  if (useCache && method === 'GET' && isCacheValid(cacheKey, cacheTTL)) {
-    return cache.get(cacheKey);
+  const abortedError = () => createAbortedError(requestInfo);
+
+  // Nothing below is in flight until the fetch starts
+  const settleEarly = (value) => {
+    registration.release();
+    return value;
+  };
+
+  // Never start a request whose signal is already aborted
+  if (externalSignal?.aborted || registration.signal.aborted) {
+    throw settleEarly(abortedError());
   }
 
-  // Check for duplicate in-flight requests
-  if (dedupeRequests && method === 'GET' && pendingRequests.has(cacheKey)) {
-    return pendingRequests.get(cacheKey);
+  const requestHeaders = { ...defaultConfig.headers, ...headers };
+  const isStream = responseType === 'stream';
+  const useTTLCache = useCache && useCache !== 'http' && method === 'GET' && !isStream;
+  const useHttpCache = useCache === 'http' && method === 'GET' && !isStream &&
+    !parseCacheControl(getHeader(requestHeaders, 'cache-control'))['no-store'];
+
+  // Check cache for GET requests
+  if (useTTLCache && isCacheValid(context, cacheKey)) {
+    return settleEarly(cache.get(cacheKey));
   }
 
-  // Create abort controller for timeout
-  const controller = new AbortController();
-  const timeoutId = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+  // HTTP cache: serve fresh entries, revalidate stale ones
+  let cached = null;
+  if (useHttpCache) {
+    cached = await httpCache.match(cacheKey, requestHeaders);
+    const mustRevalidate = parseCacheControl(getHeader(requestHeaders, 'cache-control'))['no-cache'];
+    if (cached && !mustRevalidate && httpCache.isFresh(cached)) {
+      return settleEarly({ ...cached.response, config: finalConfig });
+    }
+  }
 
-  // Combine external signal with internal controller
-  const signal = externalSignal 
-    ? (externalSignal.aborted ? controller.signal : controller.signal)
-    : controller.signal;
+  // Check for duplicate in-flight requests; a stream can only be read once
+  const dedupe = dedupeRequests && method === 'GET' && !isStream;
+  if (dedupe && pendingRequests.has(cacheKey)) {
+    return settleEarly(pendingRequests.get(cacheKey));
+  }
 
-  if (externalSignal) {
-    externalSignal.addEventListener('abort', () => controller.abort());
+  let transport;
+  try {
+    transport = resolveAdapter(adapter, onUploadProgress);
+  } catch (error) {
+    throw settleEarly(error);
   }
 
+  const cancelSignal = anySignal([registration.signal, externalSignal]);
+
   // Prepare fetch options
   const fetchOptions = {
     method: method.toUpperCase(),
-    headers: { ...defaultConfig.headers, ...headers },
-    credentials,
-    signal
+    headers: cached ? { ...requestHeaders, ...httpCache.validators(cached) } : { ...requestHeaders },
+    credentials
   };
 
   // Add body for non-GET requests
@@ -246,6 +712,12 @@ async function coreFetch(config) {
     if (data instanceof FormData) {
       delete fetchOptions.headers['Content-Type'];
       fetchOptions.body = data;
+    } else if (isRawBody(data)) {
+      // Let the runtime derive the type unless one was set explicitly
+      if (fetchOptions.headers['Content-Type'] === defaultConfig.headers['Content-Type']) {
+        delete fetchOptions.headers['Content-Type'];
+      }
+      fetchOptions.body = data;
     } else if (typeof data === 'object') {
       fetchOptions.body = JSON.stringify(data);
     } else {
@@ -253,25 +725,83 @@ async function coreFetch(config) {
     }
   }
 
+  // One key for every attempt, so the server can recognise a retried request; methods that
+  // are already idempotent go without it to avoid a CORS preflight
+  const idempotent = retryMethods.includes(method.toUpperCase());
+  if (idempotencyKey && !idempotent && getHeader(fetchOptions.headers, 'idempotency-key') === undefined) {
+    fetchOptions.headers['Idempotency-Key'] = typeof idempotencyKey === 'function'
+      ? idempotencyKey(finalConfig)
+      : (typeof idempotencyKey === 'string' ? idempotencyKey : generateIdempotencyKey());
+  }
+
+  // Non-idempotent requests are only retried when the server can deduplicate them
+  const canRetry = idempotent ||
+    getHeader(fetchOptions.headers, 'idempotency-key') !== undefined;
+
+  // A stream keeps its cancellation wiring until the body has been read
+  let streaming = false;
+
   // Create the fetch promise
   const fetchPromise = (async () => {
     let lastError;
+    let previousDelay = retryDelay;
     
     for (let attempt = 0; attempt <= retries; attempt++) {
+      // Each attempt gets a fresh timeout merged with the cancellation signals
+      const timeoutController = new AbortController();
+      const timeoutId = timeout > 0 ? setTimeout(() => timeoutController.abort(), timeout) : null;
+      const attemptSignal = anySignal([cancelSignal.signal, timeoutController.signal]);
+
       try {
-        const response = await fetch(fullURL, fetchOptions);
+        const response = await transport(
+          fullURL,
+          { ...fetchOptions, signal: attemptSignal.signal, onUploadProgress },
+          finalConfig
+        );
+
+        // Not Modified: the cached copy is still valid
+        if (response.status === 304 && cached) {
+          const entry = httpCache.revalidated(cached, Object.fromEntries(response.headers.entries()));
+          return { ...entry.response, config: finalConfig };
+        }
         
         if (!response.ok) {
-          const errorData = await parseResponse(response.clone(), responseType);
-          throw new HttpError(
+          const errorData = await parseResponse(response.clone(), isStream ? 'json' : responseType);
+          const httpError = new HttpError(
             `HTTP ${response.status}: ${response.statusText}`,
             response.status,
             errorData,
-            { url: fullURL, method, data }
+            requestInfo
           );
+          httpError.headers = Object.fromEntries(response.headers.entries());
+          throw httpError;
         }
 
-        const parsedData = await parseResponse(response, responseType);
+        const total = Number(response.headers.get?.('content-length')) || 0;
+        const body = onDownloadProgress && response.body
+          ? trackDownload(response.body, total, onDownloadProgress)
+          : response.body;
+
+        let parsedData;
+        if (isStream) {
+          streaming = true;
+          const attemptCleanup = attemptSignal.cleanup;
+          const chunks = readChunks(body, () => {
+            attemptCleanup();
+            cancelSignal.cleanup();
+            registration.release();
+          }, error => cancelSignal.signal?.aborted ? abortedError() : error);
+          const decode = streamDecoders[streamDecoder];
+          parsedData = decode ? decode(chunks) : chunks;
+        } else if (body !== response.body) {
+          parsedData = await parseResponse(new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+          }), responseType);
+        } else {
+          parsedData = await parseResponse(response, responseType);
+        }
         
         const result = {
           data: parsedData,
@@ -282,41 +812,76 @@ async function coreFetch(config) {
         };
 
         // Cache successful GET requests
-        if (useCache && method === 'GET') {
+        if (useTTLCache) {
           cache.set(cacheKey, result);
-          cacheTimestamps.set(cacheKey, Date.now());
+          cacheExpiry.set(cacheKey, Date.now() + cacheTTL);
+        } else if (useHttpCache) {
+          httpCache.store(cacheKey, requestHeaders, result);
         }
 
         return result;
       } catch (error) {
+        // Cancellation is final; a timeout counts as a retryable network error
+        if (cancelSignal.signal?.aborted) {
+          throw abortedError();
+        }
+
         lastError = error;
-        
-        // Don't retry if aborted
-        if (error.name === 'AbortError') {
-          throw new HttpError('Request aborted', 0, null, { url: fullURL, method, data });
+        if (timeoutController.signal.aborted) {
+          lastError = new HttpError(`Request timed out after ${timeout}ms`, 0, null, requestInfo);
+          lastError.timedOut = true;
         }
 
         // Check if we should retry
-        const shouldRetry = attempt < retries && 
-          (error instanceof HttpError ? retryCondition(error) : true);
+        const shouldRetry = attempt < retries && canRetry &&
+          (lastError instanceof HttpError ? retryCondition(lastError) : true);
 
         if (shouldRetry) {
-          const delay = getRetryDelay(attempt, retryDelay, retryBackoff);
-          await sleep(delay);
+          let delay = getRetryDelay(attempt, retryDelay, retryBackoff, retryDelayMax, previousDelay);
+
+          // The server's Retry-After wins; give up if it asks for longer than retryDelayMax
+          const retryAfter = parseRetryAfter(getHeader(lastError.headers, 'retry-after'));
+          if (retryAfter !== null) {
+            if (retryAfter > retryDelayMax) {
+              throw lastError;
+            }
+            delay = retryAfter;
+          }
+          previousDelay = delay;
+
+          if (onRetry) {
+            await onRetry(lastError, { attempt: attempt + 1, delay, config: finalConfig });
+          }
+
+          try {
+            await sleep(delay, cancelSignal.signal);
+          } catch {
+            throw abortedError();
+          }
           continue;
         }
 
-        throw error;
+        throw lastError;
       } finally {
         if (timeoutId) clearTimeout(timeoutId);
+        if (!streaming) attemptSignal.cleanup();
       }
     }
 
     throw lastError;
   })();
 
+  fetchPromise
+    .finally(() => {
+      if (!streaming) {
+        cancelSignal.cleanup();
+        registration.release();
+      }
+    })
+    .catch(() => {});
+
   // Track pending request for deduplication
-  if (dedupeRequests && method === 'GET') {
+  if (dedupe) {
     pendingRequests.set(cacheKey, fetchPromise);
     fetchPromise.finally(() => pendingRequests.delete(cacheKey)).catch(() => {});
   }
@@ -327,22 +892,66 @@ async function coreFetch(config) {
 /**
  * Main request function with interceptors
  */
-async function request(config) {
+async function request(config, context) {
+  // Register first, so cancel() and cancelAll() reach requests still waiting on interceptors
+  const registration = registerRequest(config, context);
+
   // Run request interceptors
-  const interceptedConfig = await runRequestInterceptors(config);
+  let interceptedConfig;
+  try {
+    interceptedConfig = await runRequestInterceptors(config, getRequestInterceptors(context));
+  } catch (error) {
+    registration.release();
+    throw error;
+  }
+  const responseInterceptors = getResponseInterceptors(context);
   
   // Execute request
-  const response = await coreFetch(interceptedConfig);
+  let response;
+  try {
+    response = await coreFetch(interceptedConfig, context, registration);
+  } catch (error) {
+    return recoverFromError(error, interceptedConfig, responseInterceptors, context.client);
+  }
   
   // Run response interceptors
-  return runResponseInterceptors(response, interceptedConfig);
+  return runResponseInterceptors(response, interceptedConfig, responseInterceptors, context.client);
+}
+
+/**
+ * Give rejected response interceptors a chance to recover from a failed request
+ * The first handler that returns a value settles the request with it as is, since
+ * a recovered value is usually a replay that already went through the interceptors.
+ */
+async function recoverFromError(error, config, interceptors, client) {
+  let currentError = error;
+
+  for (const interceptor of interceptors) {
+    if (!interceptor.rejected) continue;
+    try {
+      return await interceptor.rejected(currentError, config, client);
+    } catch (nextError) {
+      currentError = nextError;
+    }
+  }
+
+  throw currentError;
 }
 
 /**
  * HTTP client factory
+ * Each client has its own interceptors, cache and in-flight requests.
  */
 export function createClient(baseConfig = {}) {
+  return createClientWithContext(baseConfig, createContext(null, baseConfig));
+}
+
+/**
+ * Build a client around the given per-client state
+ */
+function createClientWithContext(baseConfig, context) {
   const clientConfig = { ...defaultConfig, ...baseConfig };
+  const { cache, cacheExpiry, httpCache, registry } = context;
 
   const client = {
     // Configuration
@@ -350,66 +959,73 @@ export function createClient(baseConfig = {}) {
 
     // HTTP methods
     get(url, config = {}) {
-      return request({ ...clientConfig, ...config, url, method: 'GET' });
+      return request({ ...clientConfig, ...config, url, method: 'GET' }, context);
     },
 
     post(url, data, config = {}) {
-      return request({ ...clientConfig, ...config, url, method: 'POST', data });
+      return request({ ...clientConfig, ...config, url, method: 'POST', data }, context);
     },
 
     put(url, data, config = {}) {
-      return request({ ...clientConfig, ...config, url, method: 'PUT', data });
+      return request({ ...clientConfig, ...config, url, method: 'PUT', data }, context);
     },
 
     patch(url, data, config = {}) {
-      return request({ ...clientConfig, ...config, url, method: 'PATCH', data });
+      return request({ ...clientConfig, ...config, url, method: 'PATCH', data }, context);
     },
 
     delete(url, config = {}) {
-      return request({ ...clientConfig, ...config, url, method: 'DELETE' });
+      return request({ ...clientConfig, ...config, url, method: 'DELETE' }, context);
     },
 
     head(url, config = {}) {
-      return request({ ...clientConfig, ...config, url, method: 'HEAD' });
+      return request({ ...clientConfig, ...config, url, method: 'HEAD' }, context);
     },
 
     options(url, config = {}) {
-      return request({ ...clientConfig, ...config, url, method: 'OPTIONS' });
+      return request({ ...clientConfig, ...config, url, method: 'OPTIONS' }, context);
     },
 
     // Generic request
     request(config) {
-      return request({ ...clientConfig, ...config });
+      return request({ ...clientConfig, ...config }, context);
+    },
+
+    /**
+     * Abort every in-flight request in a cancel group
+     * @param {string} group - The cancelGroup given to the requests
+     * @param {*} reason - Optional abort reason
+     * @returns {number} - Number of requests aborted
+     */
+    cancel(group, reason) {
+      return registry.cancel(group, reason);
+    },
+
+    /**
+     * Abort every in-flight request made through this client
+     * @param {*} reason - Optional abort reason
+     * @returns {number} - Number of requests aborted
+     */
+    cancelAll(reason) {
+      return registry.cancelAll(reason);
     },
 
     // Interceptors
-    interceptors: {
-      request: {
-        use(fulfilled, rejected) {
-          const id = requestInterceptors.length;
-          requestInterceptors.push({ fulfilled, rejected });
-          return id;
-        },
-        eject(id) {
-          requestInterceptors.splice(id, 1);
-        },
-        clear() {
-          requestInterceptors.length = 0;
-        }
-      },
-      response: {
-        use(fulfilled, rejected) {
-          const id = responseInterceptors.length;
-          responseInterceptors.push({ fulfilled, rejected });
-          return id;
-        },
-        eject(id) {
-          responseInterceptors.splice(id, 1);
-        },
-        clear() {
-          responseInterceptors.length = 0;
-        }
-      }
+    interceptors: context.interceptors,
+
+    /**
+     * Create a child client that inherits this client's config and interceptors
+     * Interceptors added to the parent later still apply. The child has its own cache.
+     * @param {Object} config - Config overrides for the child
+     * @returns {Object} - The new client
+     */
+    extend(config = {}) {
+      const childConfig = {
+        ...baseConfig,
+        ...config,
+        headers: { ...clientConfig.headers, ...config.headers }
+      };
+      return createClientWithContext(childConfig, createContext(context, childConfig));
     },
 
     // Cache management
@@ -419,22 +1035,27 @@ export function createClient(baseConfig = {}) {
       },
       set(key, value, ttl = clientConfig.cacheTTL) {
         cache.set(key, value);
-        cacheTimestamps.set(key, Date.now());
+        cacheExpiry.set(key, Date.now() + ttl);
       },
       delete(key) {
         cache.delete(key);
-        cacheTimestamps.delete(key);
+        cacheExpiry.delete(key);
+        httpCache.delete(key);
       },
       clear() {
         cache.clear();
-        cacheTimestamps.clear();
+        cacheExpiry.clear();
+        httpCache.clear();
       },
       has(key) {
-        return cache.has(key) && isCacheValid(key, clientConfig.cacheTTL);
+        return cache.has(key) && isCacheValid(context, key);
       }
     }
   };
 
+  // Handed to rejected response interceptors so replays go through the issuing client
+  context.client = client;
+
   return client;
 }
 
@@ -443,20 +1064,20 @@ export function createClient(baseConfig = {}) {
  * Creates reactive state for HTTP requests
  */
 export function useFetch(url, options = {}) {
-  const data = ref(null);
-  const error = ref(null);
+  const data = shallowRef(null);
+  const error = shallowRef(null);
   const status = ref(RequestState.IDLE);
   const isLoading = ref(false);
   const isError = ref(false);
   const isSuccess = ref(false);
-  const response = ref(null);
+  const response = shallowRef(null);
 
   const config = reactive({
     url,
     ...options
   });
 
-  const abortController = ref(null);
+  const abortController = shallowRef(null);
 
   async function execute(overrideConfig = {}) {
     // Abort previous request if exists
@@ -473,7 +1094,7 @@ export function useFetch(url, options = {}) {
     error.value = null;
 
     try {
-      const result = await request({
+      const result = await http.request({
         ...config,
         ...overrideConfig,
         url: overrideConfig.url || config.url,
@@ -517,6 +1138,11 @@ export function useFetch(url, options = {}) {
     response.value = null;
   }
 
+  // Abort in-flight requests when the owning effect scope is disposed
+  if (getCurrentScope()) {
+    onScopeDispose(abort);
+  }
+
   // Auto-execute if immediate option is set
   if (options.immediate !== false) {
     execute();
@@ -577,6 +1203,10 @@ export function usePolling(url, interval = 5000, options = {}) {
     }
   }
 
+  if (getCurrentScope()) {
+    onScopeDispose(stop);
+  }
+
   return {
     ...fetchState,
     isPolling,
@@ -587,114 +1217,1091 @@ export function usePolling(url, interval = 5000, options = {}) {
 }
 
 /**
- * Upload composable with progress
+ * Parse a Link header into a map of rel => URL
  */
-export function useUpload(url, options = {}) {
-  const progress = ref(0);
-  const isUploading = ref(false);
-  const error = ref(null);
-  const data = ref(null);
-  const abortController = ref(null);
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  header.split(',').forEach(part => {
+    const match = part.match(/<([^>]*)>\s*;(.*)/);
+    if (!match) return;
+    const rel = match[2].match(/rel\s*=\s*"?([^";]+)"?/);
+    if (rel) {
+      rel[1].trim().split(/\s+/).forEach(name => {
+        links[name] = match[1];
+      });
+    }
+  });
 
-  /**
-   * Upload file or data
-   */
-  async function upload(fileOrData, config = {}) {
-    progress.value = 0;
-    isUploading.value = true;
-    error.value = null;
-    data.value = null;
+  return links;
+}
 
-    if (abortController.value) {
-      abortController.value.abort();
-    }
-    abortController.value = new AbortController();
+/**
+ * Items of a page: the page itself when it is an array, otherwise its items or data field
+ */
+function defaultGetItems(page) {
+  if (Array.isArray(page)) return page;
+  if (Array.isArray(page?.items)) return page.items;
+  if (Array.isArray(page?.data)) return page.data;
+  return [];
+}
 
-    try {
-      // Prepare FormData if it's a file
-      let body = fileOrData;
-      if (fileOrData instanceof File) {
-        body = new FormData();
-        body.append(options.fieldName || 'file', fileOrData);
-      }
-
-      // Use XMLHttpRequest for progress events (fetch doesn't support upload progress yet standardly)
-      // Or use the custom client if it supports it.
-      // Our client logic uses fetch.
-      // To support progress, we might need XHR or a fetch wrapper that simulates it?
-      // Actually, let's stick to XHR for true upload progress.
-
-      return new Promise((resolve, reject) => {
-        const xhr = new XMLHttpRequest();
-        xhr.open(options.method || 'POST', url);
-        
-        // Headers
-        if (options.headers) {
-          Object.entries(options.headers).forEach(([k, v]) => xhr.setRequestHeader(k, v));
+/**
+ * Built-in page param strategies
+ */
+const pageStrategies = {
+  // The server returns the next cursor in the page body
+  cursor: (options) => ({
+    param: options.pageParam || 'cursor',
+    initialPageParam: undefined,
+    getNextPageParam: lastPage => lastPage?.nextCursor ?? undefined,
+    getPreviousPageParam: firstPage => firstPage?.prevCursor ?? undefined
+  }),
+
+  // Pages are requested by offset and limit; a short page is the last one
+  offset: (options) => {
+    const limit = options.limit || 20;
+    const getItems = options.getItems || defaultGetItems;
+    return {
+      param: options.pageParam || 'offset',
+      initialPageParam: 0,
+      params: { [options.limitParam || 'limit']: limit },
+      getNextPageParam: (lastPage, pages, lastPageParam) =>
+        getItems(lastPage).length < limit ? undefined : lastPageParam + limit,
+      getPreviousPageParam: (firstPage, pages, firstPageParam) =>
+        firstPageParam > 0 ? Math.max(0, firstPageParam - limit) : undefined
+    };
+  },
+
+  // Page params are the URLs from the rel="next" and rel="prev" Link headers
+  link: () => ({
+    param: null,
+    initialPageParam: undefined,
+    getNextPageParam: (lastPage, pages, lastPageParam, response) =>
+      parseLinkHeader(response?.headers?.link).next,
+    getPreviousPageParam: (firstPage, pages, firstPageParam, response) =>
+      parseLinkHeader(response?.headers?.link).prev
+  })
+};
+
+/**
+ * Infinite list composable
+ * Accumulates pages fetched with cursor, offset or Link header pagination.
+ * fetchNextPage() resolves to null when there is nothing more to load, so it can drive m-intersect.
+ */
+export function useInfiniteFetch(url, options = {}) {
+  const {
+    strategy = 'cursor',
+    client = http,
+    immediate = true,
+    getItems = defaultGetItems,
+    getNextPageParam,
+    getPreviousPageParam,
+    initialPageParam,
+    pageParam: _pageParam,
+    limit: _limit,
+    limitParam: _limitParam,
+    ...requestConfig
+  } = options;
+
+  const builtIn = pageStrategies[strategy];
+  if (!builtIn) {
+    throw new Error(`MonkeysJS: Unknown pagination strategy "${strategy}"`);
+  }
+  const resolved = builtIn(options);
+  const getNext = getNextPageParam || resolved.getNextPageParam;
+  const getPrevious = getPreviousPageParam || resolved.getPreviousPageParam;
+  const firstPageParam = initialPageParam !== undefined ? initialPageParam : resolved.initialPageParam;
+
+  const pages = shallowRef([]);
+  const pageParams = shallowRef([]);
+  const error = shallowRef(null);
+  const status = ref(RequestState.IDLE);
+  const isLoading = ref(false);
+  const isFetchingNextPage = ref(false);
+  const isFetchingPreviousPage = ref(false);
+  const nextPageParam = shallowRef(undefined);
+  const previousPageParam = shallowRef(undefined);
+
+  const items = computed(() => pages.value.flatMap(page => getItems(page)));
+  const hasNextPage = computed(() => nextPageParam.value !== undefined && nextPageParam.value !== null);
+  const hasPreviousPage = computed(() => previousPageParam.value !== undefined && previousPageParam.value !== null);
+  const isFetching = computed(() => isLoading.value || isFetchingNextPage.value || isFetchingPreviousPage.value);
+
+  let responses = [];
+  let abortController = null;
+
+  /**
+   * Request the page for a page param
+   */
+  function fetchPage(param) {
+    const config = { ...requestConfig, url, signal: abortController.signal };
+
+    if (resolved.param === null) {
+      // Link strategy: the param is the URL to follow, which already carries the query
+      if (param !== undefined) {
+        config.url = param;
+        delete config.params;
+      }
+    } else {
+      config.params = { ...requestConfig.params, ...resolved.params };
+      if (param !== undefined) config.params[resolved.param] = param;
+    }
+
+    return client.request(config);
+  }
+
+  function updatePageParams() {
+    const allPages = pages.value;
+    if (!allPages.length) {
+      nextPageParam.value = undefined;
+      previousPageParam.value = undefined;
+      return;
+    }
+
+    const last = allPages.length - 1;
+    nextPageParam.value = getNext(allPages[last], allPages, pageParams.value[last], responses[last]);
+    previousPageParam.value = getPrevious
+      ? getPrevious(allPages[0], allPages, pageParams.value[0], responses[0])
+      : undefined;
+  }
+
+  /**
+   * Fetch a page and add it at the start or end of the list
+   */
+  async function load(param, direction, flag) {
+    if (!abortController) {
+      abortController = new AbortController();
+    }
+    const controller = abortController;
+
+    flag.value = true;
+    error.value = null;
+
+    try {
+      const response = await fetchPage(param);
+      if (controller !== abortController) return null;
+
+      if (direction === 'previous') {
+        pages.value = [response.data, ...pages.value];
+        pageParams.value = [param, ...pageParams.value];
+        responses = [response, ...responses];
+      } else {
+        pages.value = [...pages.value, response.data];
+        pageParams.value = [...pageParams.value, param];
+        responses = [...responses, response];
+      }
+
+      updatePageParams();
+      status.value = RequestState.SUCCESS;
+      return response;
+    } catch (err) {
+      if (controller !== abortController) return null;
+
+      error.value = err;
+      status.value = RequestState.ERROR;
+
+      if (options.throwOnError) {
+        throw err;
+      }
+      return null;
+    } finally {
+      if (controller === abortController) {
+        flag.value = false;
+      }
+    }
+  }
+
+  /**
+   * Load the next page; resolves to null when there is no next page or a page is already loading
+   */
+  function fetchNextPage() {
+    if (!pages.value.length) {
+      return isLoading.value ? Promise.resolve(null) : refresh();
+    }
+    if (!hasNextPage.value || isFetching.value) {
+      return Promise.resolve(null);
+    }
+    return load(nextPageParam.value, 'next', isFetchingNextPage);
+  }
+
+  /**
+   * Load the previous page
+   */
+  function fetchPreviousPage() {
+    if (!hasPreviousPage.value || isFetching.value) {
+      return Promise.resolve(null);
+    }
+    return load(previousPageParam.value, 'previous', isFetchingPreviousPage);
+  }
+
+  function abort() {
+    if (abortController) {
+      abortController.abort();
+      abortController = null;
+    }
+    isLoading.value = false;
+    isFetchingNextPage.value = false;
+    isFetchingPreviousPage.value = false;
+  }
+
+  function reset() {
+    abort();
+    pages.value = [];
+    pageParams.value = [];
+    responses = [];
+    error.value = null;
+    status.value = RequestState.IDLE;
+    updatePageParams();
+  }
+
+  /**
+   * Drop every page and load the first one again
+   */
+  function refresh() {
+    reset();
+    status.value = RequestState.LOADING;
+    return load(firstPageParam, 'next', isLoading);
+  }
+
+  if (getCurrentScope()) {
+    onScopeDispose(abort);
+  }
+
+  if (immediate) {
+    refresh();
+  }
+
+  return {
+    pages,
+    pageParams,
+    items,
+    error,
+    status,
+    isLoading,
+    isFetching,
+    isFetchingNextPage,
+    isFetchingPreviousPage,
+    hasNextPage,
+    hasPreviousPage,
+    fetchNextPage,
+    fetchPreviousPage,
+    refresh,
+    reset,
+    abort
+  };
+}
+
+/**
+ * Page-by-page fetch composable
+ * Shows one page at a time and refetches when the page or page size changes.
+ */
+export function usePaginatedFetch(url, options = {}) {
+  const {
+    page: initialPage = 1,
+    pageSize: initialPageSize = 20,
+    pageParam = 'page',
+    pageSizeParam = 'limit',
+    getTotal = response => {
+      const header = response?.headers?.['x-total-count'];
+      if (header !== undefined) return Number(header);
+      return typeof response?.data?.total === 'number' ? response.data.total : null;
+    },
+    immediate = true,
+    ...fetchOptions
+  } = options;
+
+  const page = ref(initialPage);
+  const pageSize = ref(initialPageSize);
+  const total = ref(null);
+  const fetchState = useFetch(url, { ...fetchOptions, immediate: false });
+
+  // A Link header, when present, is the authority on whether more pages exist
+  const links = computed(() => parseLinkHeader(fetchState.response.value?.headers?.link));
+  const pageCount = computed(() => total.value === null ? null : Math.max(1, Math.ceil(total.value / pageSize.value)));
+  const hasNextPage = computed(() => {
+    if (fetchState.response.value?.headers?.link) return Boolean(links.value.next);
+    if (pageCount.value !== null) return page.value < pageCount.value;
+    return defaultGetItems(fetchState.data.value).length >= pageSize.value;
+  });
+  const hasPreviousPage = computed(() => page.value > 1);
+
+  async function execute() {
+    const result = await fetchState.execute({
+      params: { ...fetchOptions.params, [pageParam]: page.value, [pageSizeParam]: pageSize.value }
+    });
+    if (result) {
+      total.value = getTotal(result);
+    }
+    return result;
+  }
+
+  function next() {
+    if (hasNextPage.value) page.value++;
+  }
+
+  function prev() {
+    if (hasPreviousPage.value) page.value--;
+  }
+
+  function goTo(n) {
+    const last = pageCount.value ?? Infinity;
+    page.value = Math.min(Math.max(1, n), last);
+  }
+
+  watch([page, pageSize], () => execute());
+
+  if (immediate) {
+    execute();
+  }
+
+  return {
+    ...fetchState,
+    page,
+    pageSize,
+    total,
+    pageCount,
+    hasNextPage,
+    hasPreviousPage,
+    next,
+    prev,
+    goTo,
+    execute,
+    refresh: execute
+  };
+}
+
+/**
+ * Resolve a value that may be a ref or a getter
+ */
+function resolveValue(value) {
+  return typeof value === 'function' ? value() : unref(value);
+}
+
+// Cache internals used by useQuery, keyed by query client so they stay off its public surface
+const queryInternals = new WeakMap();
+
+/**
+ * Query cache with stale-while-revalidate semantics
+ * @param {Object} options - { client, staleTime, cacheTime }
+ * @returns {Object} - The query client
+ */
+export function createQueryClient(options = {}) {
+  const {
+    client = http,
+    staleTime: defaultStaleTime = 0,
+    cacheTime: defaultCacheTime = 5 * 60 * 1000
+  } = options;
+
+  const entries = new Map();
+
+  const normalizeKey = (key) => Array.isArray(key) ? key : [key];
+  const hashKey = (key) => JSON.stringify(normalizeKey(key));
+
+  /**
+   * Check whether a query key starts with the given prefix
+   */
+  function matches(entry, prefix) {
+    if (prefix === undefined) return true;
+    return normalizeKey(prefix).every((part, i) => JSON.stringify(entry.key[i]) === JSON.stringify(part));
+  }
+
+  /**
+   * Turn a URL into a fetcher using the HTTP client
+   */
+  function toFetcher(fetcher) {
+    if (typeof fetcher === 'string') {
+      const url = fetcher;
+      return ({ signal }) => client.get(url, { signal }).then(response => response.data);
+    }
+    return fetcher;
+  }
+
+  /**
+   * Get or create the shared entry for a key
+   */
+  function build(key) {
+    const hash = hashKey(key);
+    let entry = entries.get(hash);
+
+    if (!entry) {
+      entry = {
+        key: normalizeKey(key),
+        hash,
+        data: shallowRef(undefined),
+        error: shallowRef(null),
+        status: ref(RequestState.IDLE),
+        isFetching: ref(false),
+        updatedAt: ref(0),
+        invalidated: false,
+        observers: 0,
+        fetcher: null,
+        promise: null,
+        controller: null,
+        gcTimer: null,
+        cacheTime: defaultCacheTime
+      };
+      entries.set(hash, entry);
+      scheduleGC(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove an unobserved entry once its cache time has passed
+   */
+  function scheduleGC(entry) {
+    clearTimeout(entry.gcTimer);
+    entry.gcTimer = null;
+
+    if (entry.observers > 0 || !Number.isFinite(entry.cacheTime)) return;
+
+    entry.gcTimer = setTimeout(() => {
+      if (entry.observers === 0 && entries.get(entry.hash) === entry) {
+        entry.controller?.abort();
+        entries.delete(entry.hash);
+      }
+    }, entry.cacheTime);
+  }
+
+  function isStale(entry, staleTime = defaultStaleTime) {
+    return entry.invalidated ||
+      entry.updatedAt.value === 0 ||
+      Date.now() - entry.updatedAt.value >= staleTime;
+  }
+
+  /**
+   * Run an entry's fetcher, sharing the request between callers
+   * @param {Object} entry - The query entry
+   * @param {boolean} force - Abort an in-flight fetch and start over
+   * @returns {Promise} - Resolves with the data
+   */
+  function fetchEntry(entry, force = false) {
+    if (entry.promise && !force) {
+      return entry.promise;
+    }
+    if (!entry.fetcher) {
+      return Promise.reject(new Error(`MonkeysJS: No fetcher for query ${entry.hash}`));
+    }
+
+    entry.controller?.abort();
+    const controller = new AbortController();
+    entry.controller = controller;
+
+    entry.isFetching.value = true;
+    if (entry.data.value === undefined) {
+      entry.status.value = RequestState.LOADING;
+    }
+
+    const promise = Promise.resolve()
+      .then(() => entry.fetcher({ queryKey: entry.key, signal: controller.signal }))
+      .then(
+        data => {
+          if (entry.controller !== controller) return entry.promise;
+          entry.data.value = data;
+          entry.error.value = null;
+          entry.status.value = RequestState.SUCCESS;
+          entry.updatedAt.value = Date.now();
+          entry.invalidated = false;
+          return data;
+        },
+        error => {
+          if (entry.controller !== controller) return entry.promise;
+          entry.error.value = error;
+          entry.status.value = RequestState.ERROR;
+          throw error;
         }
-        
-        // Progress
-        xhr.upload.onprogress = (e) => {
-          if (e.lengthComputable) {
-            progress.value = Math.round((e.loaded / e.total) * 100);
-          }
-        };
+      )
+      .finally(() => {
+        if (entry.controller === controller) {
+          entry.isFetching.value = false;
+          entry.promise = null;
+          entry.controller = null;
+        }
+      });
 
-        xhr.onload = () => {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            try {
-              const response = JSON.parse(xhr.responseText);
-              data.value = response;
-              progress.value = 100;
-              resolve(response);
-            } catch (e) {
-               data.value = xhr.responseText;
-               resolve(xhr.responseText);
-            }
-          } else {
-            error.value = new Error(`Upload failed: ${xhr.statusText}`);
-            reject(error.value);
-          }
-          isUploading.value = false;
-        };
+    entry.promise = promise;
+    return promise;
+  }
 
-        xhr.onerror = () => {
-          error.value = new Error('Network error');
-          isUploading.value = false;
-          reject(error.value);
-        };
+  const queryClient = {
+    defaults: { staleTime: defaultStaleTime, cacheTime: defaultCacheTime },
 
-        xhr.onabort = () => {
-            isUploading.value = false;
-            // Don't reject if aborted manually usually
-        };
+    /**
+     * Read cached data for a key
+     */
+    getQueryData(key) {
+      return entries.get(hashKey(key))?.data.value;
+    },
+
+    /**
+     * Write data for a key, e.g. after a mutation
+     * @param {*} key - The query key
+     * @param {*} updater - New data, or (oldData) => newData
+     */
+    setQueryData(key, updater) {
+      const entry = build(key);
+      const data = typeof updater === 'function' ? updater(entry.data.value) : updater;
+      entry.data.value = data;
+      entry.error.value = null;
+      entry.status.value = RequestState.SUCCESS;
+      entry.updatedAt.value = Date.now();
+      entry.invalidated = false;
+      return data;
+    },
+
+    /**
+     * Fetch a query unless fresh data is cached
+     * @returns {Promise} - Resolves with the data
+     */
+    fetchQuery(key, fetcher, fetchOptions = {}) {
+      const entry = build(key);
+      if (fetcher) entry.fetcher = toFetcher(fetcher);
+      if (!isStale(entry, fetchOptions.staleTime) && entry.status.value === RequestState.SUCCESS) {
+        return Promise.resolve(entry.data.value);
+      }
+      return fetchEntry(entry);
+    },
+
+    /**
+     * Warm the cache ahead of time; errors are ignored
+     */
+    prefetchQuery(key, fetcher, fetchOptions = {}) {
+      return queryClient.fetchQuery(key, fetcher, fetchOptions).then(() => {}, () => {});
+    },
+
+    /**
+     * Mark matching queries stale and refetch the ones in use
+     * @param {*} prefix - Key prefix; all queries when omitted
+     * @param {Object} invalidateOptions - { refetch }
+     */
+    invalidateQueries(prefix, invalidateOptions = {}) {
+      const { refetch = true } = invalidateOptions;
+      const refetches = [];
+
+      entries.forEach(entry => {
+        if (!matches(entry, prefix)) return;
+        entry.invalidated = true;
+        if (refetch && entry.observers > 0 && entry.fetcher) {
+          refetches.push(fetchEntry(entry, true).catch(() => {}));
+        }
+      });
+
+      return Promise.all(refetches).then(() => {});
+    },
+
+    /**
+     * Abort in-flight fetches for matching queries
+     */
+    cancelQueries(prefix) {
+      entries.forEach(entry => {
+        if (matches(entry, prefix) && entry.controller) {
+          entry.controller.abort();
+          entry.controller = null;
+          entry.promise = null;
+          entry.isFetching.value = false;
+        }
+      });
+    },
+
+    /**
+     * Drop matching queries from the cache
+     */
+    removeQueries(prefix) {
+      entries.forEach(entry => {
+        if (matches(entry, prefix)) {
+          clearTimeout(entry.gcTimer);
+          entry.controller?.abort();
+          entries.delete(entry.hash);
+        }
+      });
+    },
+
+    /**
+     * Drop every query
+     */
+    clear() {
+      queryClient.removeQueries();
+    }
+  };
+
+  queryInternals.set(queryClient, {
+    build,
+    fetch: fetchEntry,
+    isStale,
+    toFetcher,
+
+    observe(entry, cacheTime) {
+      entry.observers++;
+      if (cacheTime !== undefined) {
+        entry.cacheTime = Math.max(entry.cacheTime, cacheTime);
+      }
+      scheduleGC(entry);
+    },
+
+    release(entry) {
+      entry.observers = Math.max(0, entry.observers - 1);
+      scheduleGC(entry);
+    }
+  });
+
+  return queryClient;
+}
 
-        // Attach abort signal
-        abortController.value.signal.addEventListener('abort', () => xhr.abort());
+/**
+ * Reactive query composable with shared, keyed cache entries
+ * @param {*} key - Query key (array, string, ref or getter)
+ * @param {Function|string} fetcher - ({ queryKey, signal }) => Promise, or a URL
+ * @param {Object} options - { staleTime, cacheTime, enabled, refetchOnWindowFocus, refetchOnReconnect, refetchInterval, queryClient }
+ */
+export function useQuery(key, fetcher, options = {}) {
+  const {
+    queryClient: queries = queryClient,
+    enabled = true,
+    refetchOnWindowFocus = true,
+    refetchOnReconnect = true,
+    refetchInterval = 0,
+    cacheTime
+  } = options;
+  const staleTime = options.staleTime ?? queries.defaults.staleTime;
+  const internals = queryInternals.get(queries);
+  const queryFn = internals.toFetcher(fetcher);
+
+  const entry = shallowRef(null);
+  const cleanups = [];
+
+  const isEnabled = () => resolveValue(enabled) !== false;
+
+  function refetchIfStale() {
+    if (entry.value && isEnabled() && internals.isStale(entry.value, staleTime)) {
+      internals.fetch(entry.value).catch(() => {});
+    }
+  }
+
+  function refetch() {
+    return internals.fetch(entry.value, true).catch(() => null);
+  }
+
+  // Follow the current key, moving between shared entries
+  cleanups.push(watch(
+    () => JSON.stringify(resolveValue(key)),
+    () => {
+      const next = internals.build(resolveValue(key));
+      if (entry.value) {
+        internals.release(entry.value);
+      }
+      next.fetcher = queryFn;
+      internals.observe(next, cacheTime);
+      entry.value = next;
+      refetchIfStale();
+    },
+    { immediate: true, flush: 'sync' }
+  ));
+
+  cleanups.push(watch(isEnabled, refetchIfStale, { flush: 'sync' }));
 
-        xhr.send(body);
+  if (typeof window !== 'undefined') {
+    const onFocus = () => {
+      if (typeof document === 'undefined' || document.visibilityState !== 'hidden') {
+        refetchIfStale();
+      }
+    };
+
+    if (refetchOnWindowFocus) {
+      window.addEventListener('focus', onFocus);
+      document.addEventListener('visibilitychange', onFocus);
+      cleanups.push(() => {
+        window.removeEventListener('focus', onFocus);
+        document.removeEventListener('visibilitychange', onFocus);
       });
+    }
+
+    if (refetchOnReconnect) {
+      window.addEventListener('online', refetchIfStale);
+      cleanups.push(() => window.removeEventListener('online', refetchIfStale));
+    }
+  }
+
+  if (refetchInterval > 0) {
+    const intervalId = setInterval(() => {
+      if (isEnabled()) refetch();
+    }, refetchInterval);
+    cleanups.push(() => clearInterval(intervalId));
+  }
+
+  /**
+   * Stop observing; the entry is garbage collected after its cache time
+   */
+  function dispose() {
+    cleanups.splice(0).forEach(cleanup => cleanup());
+    if (entry.value) {
+      internals.release(entry.value);
+    }
+  }
 
+  if (getCurrentScope()) {
+    onScopeDispose(dispose);
+  }
+
+  const status = computed(() => entry.value.status.value);
+
+  return {
+    data: computed(() => entry.value.data.value),
+    error: computed(() => entry.value.error.value),
+    status,
+    updatedAt: computed(() => entry.value.updatedAt.value),
+    isFetching: computed(() => entry.value.isFetching.value),
+    isLoading: computed(() => status.value === RequestState.LOADING),
+    isSuccess: computed(() => status.value === RequestState.SUCCESS),
+    isError: computed(() => status.value === RequestState.ERROR),
+    refetch,
+    dispose
+  };
+}
+
+/**
+ * Mutation composable with optimistic updates and rollback
+ * @param {Function|string} mutationFn - (variables) => Promise, or a URL to send the variables to
+ * @param {Object} options - { client, method, onMutate, onSuccess, onError, onSettled, optimistic, invalidateQueries, queryClient, throwOnError }
+ */
+export function useMutation(mutationFn, options = {}) {
+  const {
+    queryClient: queries = queryClient,
+    client = http,
+    method = 'POST',
+    onMutate,
+    onSuccess,
+    onError,
+    onSettled,
+    optimistic,
+    invalidateQueries,
+    throwOnError = false
+  } = options;
+
+  const data = shallowRef(null);
+  const error = shallowRef(null);
+  const variables = shallowRef(undefined);
+  const status = ref(RequestState.IDLE);
+  const isPending = ref(false);
+  const isSuccess = ref(false);
+  const isError = ref(false);
+
+  const run = typeof mutationFn === 'string'
+    ? (vars) => client.request({ url: mutationFn, method, data: vars }).then(response => response.data)
+    : mutationFn;
+
+  let lastId = 0;
+
+  /**
+   * Apply the optimistic update and return a function that undoes it
+   */
+  function applyOptimistic(vars) {
+    if (!optimistic) return null;
+
+    const key = typeof optimistic.queryKey === 'function'
+      ? optimistic.queryKey(vars)
+      : optimistic.queryKey;
+    const previous = queries.getQueryData(key);
+
+    queries.cancelQueries(key);
+    queries.setQueryData(key, old => optimistic.updater(old, vars));
+
+    return () => queries.setQueryData(key, previous);
+  }
+
+  /**
+   * Run the mutation, rejecting on failure
+   */
+  async function mutateAsync(vars) {
+    const id = ++lastId;
+    const isLatest = () => id === lastId;
+
+    variables.value = vars;
+    status.value = RequestState.LOADING;
+    isPending.value = true;
+    isSuccess.value = false;
+    isError.value = false;
+    error.value = null;
+
+    let context;
+    let rollback = null;
+    let result;
+    let failure = null;
+    // Once the server accepted the change, later errors (e.g. in onSuccess) keep it
+    let committed = false;
+
+    try {
+      rollback = applyOptimistic(vars);
+      context = onMutate ? await onMutate(vars) : undefined;
+
+      result = await run(vars);
+      committed = true;
+
+      if (isLatest()) {
+        data.value = result;
+        status.value = RequestState.SUCCESS;
+        isSuccess.value = true;
+      }
+
+      if (onSuccess) {
+        await onSuccess(result, vars, context);
+      }
+
+      if (invalidateQueries) {
+        const prefix = typeof invalidateQueries === 'function'
+          ? invalidateQueries(result, vars)
+          : invalidateQueries;
+        await queries.invalidateQueries(prefix);
+      }
+
+      return result;
     } catch (err) {
-      error.value = err;
-      isUploading.value = false;
+      failure = err;
+
+      // Undo optimistic changes, ours and any returned by onMutate
+      if (!committed) {
+        if (rollback) rollback();
+        if (typeof context?.rollback === 'function') context.rollback();
+      }
+
+      if (isLatest()) {
+        error.value = err;
+        status.value = RequestState.ERROR;
+        isError.value = true;
+      }
+
+      if (onError) {
+        await onError(err, vars, context);
+      }
+
       throw err;
+    } finally {
+      if (isLatest()) {
+        isPending.value = false;
+      }
+
+      if (onSettled) {
+        await onSettled(failure ? undefined : result, failure, vars, context);
+      }
+    }
+  }
+
+  /**
+   * Run the mutation; errors are exposed through error unless throwOnError is set
+   */
+  function mutate(vars) {
+    return mutateAsync(vars).catch(err => {
+      if (throwOnError) throw err;
+      return null;
+    });
+  }
+
+  function reset() {
+    data.value = null;
+    error.value = null;
+    variables.value = undefined;
+    status.value = RequestState.IDLE;
+    isPending.value = false;
+    isSuccess.value = false;
+    isError.value = false;
+  }
+
+  return {
+    data,
+    error,
+    variables,
+    status,
+    isPending,
+    isSuccess,
+    isError,
+    mutate,
+    mutateAsync,
+    reset
+  };
+}
+
+/**
+ * Upload composable with overall and per-file progress
+ * Requests go through the client, so interceptors, baseURL, timeouts and retries apply.
+ * retry() resumes a batch: files that already uploaded are not sent again.
+ * @param {string} url - Upload URL
+ * @param {Object} options - { client, method, fieldName, concurrency, ...request config }
+ */
+export function useUpload(url, options = {}) {
+  const {
+    client = http,
+    method = 'POST',
+    fieldName = 'file',
+    concurrency = 3,
+    ...requestConfig
+  } = options;
+
+  const files = shallowRef([]);
+  const isUploading = ref(false);
+  const error = shallowRef(null);
+  const data = shallowRef(null);
+
+  // Weighted by bytes when sizes are known, otherwise the average of the files
+  const progress = computed(() => {
+    const items = files.value;
+    if (!items.length) return 0;
+
+    const total = items.reduce((sum, item) => sum + item.total, 0);
+    if (total > 0 && items.every(item => item.total > 0)) {
+      const loaded = items.reduce((sum, item) => sum + item.loaded, 0);
+      return Math.round((loaded / total) * 100);
+    }
+    return Math.round(items.reduce((sum, item) => sum + item.progress, 0) / items.length);
+  });
+
+  let abortController = null;
+  let isBatch = false;
+  let lastConfig = {};
+
+  /**
+   * Track state for one file or payload
+   */
+  const createItem = (file) => reactive({
+    file,
+    name: file?.name ?? null,
+    size: file?.size ?? 0,
+    loaded: 0,
+    total: file?.size ?? 0,
+    progress: 0,
+    status: 'pending',
+    error: null,
+    data: null
+  });
+
+  /**
+   * Send a single item through the client
+   */
+  async function send(item, signal, config) {
+    item.status = 'uploading';
+    item.error = null;
+    item.loaded = 0;
+    item.progress = 0;
+
+    let body = item.file;
+    if (typeof File !== 'undefined' && item.file instanceof File) {
+      body = new FormData();
+      body.append(config.fieldName || fieldName, item.file);
+    }
+
+    try {
+      const response = await client.request({
+        ...requestConfig,
+        ...config,
+        url,
+        method,
+        data: body,
+        signal,
+        onUploadProgress: (event) => {
+          item.loaded = event.loaded;
+          if (event.total) item.total = event.total;
+          if (event.percent !== null) item.progress = event.percent;
+          config.onUploadProgress?.(event);
+        }
+      });
+
+      item.data = response.data;
+      item.loaded = item.total;
+      item.progress = 100;
+      item.status = 'success';
+    } catch (err) {
+      item.error = err;
+      item.status = err.aborted ? 'cancelled' : 'error';
+    }
+  }
+
+  /**
+   * Upload every item that has not succeeded yet
+   */
+  async function run(config) {
+    if (abortController) {
+      abortController.abort();
+    }
+    const controller = new AbortController();
+    abortController = controller;
+    lastConfig = config;
+
+    const items = files.value;
+    const queue = items.filter(item => item.status !== 'success');
+    let next = 0;
+
+    isUploading.value = true;
+    error.value = null;
+
+    const worker = async () => {
+      while (next < queue.length && !controller.signal.aborted) {
+        await send(queue[next++], controller.signal, config);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, worker));
+
+    if (controller !== abortController) {
+      return null;
+    }
+    abortController = null;
+    isUploading.value = false;
+
+    const results = items.map(item => item.data);
+    data.value = isBatch ? results : results[0];
+
+    const failed = items.find(item => item.status === 'error' || item.status === 'cancelled');
+    if (failed) {
+      error.value = failed.error;
+      throw failed.error;
     }
+
+    return data.value;
+  }
+
+  /**
+   * Upload a file, a list of files, or any request body
+   * @param {File|Blob|FileList|Array|FormData|*} input - What to upload
+   * @param {Object} config - Request config overrides, plus fieldName
+   * @returns {Promise} - The response data, or an array of it for several files
+   */
+  function upload(input, config = {}) {
+    const isList = Array.isArray(input) || (typeof FileList !== 'undefined' && input instanceof FileList);
+    isBatch = isList;
+    data.value = null;
+    files.value = (isList ? Array.from(input) : [input]).map(createItem);
+    return run(config);
+  }
+
+  /**
+   * Resume the last batch, sending only the files that failed or were cancelled
+   */
+  function retry() {
+    if (!files.value.length || isUploading.value) return Promise.resolve(data.value);
+    return run(lastConfig);
   }
 
   function cancel() {
-    if (abortController.value) {
-      abortController.value.abort();
+    if (abortController) {
+      abortController.abort();
+      abortController = null;
       isUploading.value = false;
     }
   }
 
+  if (getCurrentScope()) {
+    onScopeDispose(cancel);
+  }
+
   return {
+    files,
     progress,
     isUploading,
     error,
     data,
     upload,
+    retry,
     cancel
   };
 }
@@ -702,10 +2309,20 @@ export function useUpload(url, options = {}) {
 // Default client instance
 export const http = createClient();
 
+// Default query client
+export const queryClient = createQueryClient();
+
 export default {
   createClient,
   useFetch,
   usePolling,
+  useInfiniteFetch,
+  usePaginatedFetch,
+  useQuery,
+  useMutation,
+  useUpload,
+  createQueryClient,
+  queryClient,
   http,
   HttpError,
   RequestState
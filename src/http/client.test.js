@@ -1,16 +1,16 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { createClient, http, useFetch, useUpload } from './client';
+import {
+  createClient, http, useFetch, useUpload, useQuery, useMutation, createQueryClient, HttpError,
+  useInfiniteFetch, usePaginatedFetch
+} from './client';
+import { ref, effectScope } from '../core/reactive';
+import { createMockAdapter } from './mock';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
 
 describe('HTTP Client', () => {
   beforeEach(() => {
     global.fetch = vi.fn();
-    global.AbortController = vi.fn().mockImplementation(() => ({
-      abort: vi.fn(),
-      signal: {
-        addEventListener: vi.fn(),
-        removeEventListener: vi.fn()
-      }
-    }));
   });
 
   afterEach(() => {
@@ -123,63 +123,1136 @@ describe('HTTP Client', () => {
   });
 
   describe('useUpload', () => {
-    let mockXHR;
-    
+    let requests;
+
+    // Minimal XMLHttpRequest double; each instance is recorded for the test to drive
+    class MockXHR {
+      constructor() {
+        this.upload = { onprogress: null };
+        this.headers = {};
+        this.status = 0;
+        this.statusText = '';
+        this.responseText = '';
+        requests.push(this);
+      }
+      open(method, url) {
+        this.method = method;
+        this.url = url;
+      }
+      setRequestHeader(name, value) {
+        this.headers[name] = value;
+      }
+      getAllResponseHeaders() {
+        return 'content-type: application/json\r\n';
+      }
+      send(body) {
+        this.body = body;
+      }
+      abort() {
+        this.onabort?.();
+      }
+      respond(status, body, statusText = 'OK') {
+        this.status = status;
+        this.statusText = statusText;
+        this.responseText = body;
+        this.onload();
+      }
+    }
+
     beforeEach(() => {
-      mockXHR = {
-        open: vi.fn(),
-        setRequestHeader: vi.fn(),
-        send: vi.fn(),
-        abort: vi.fn(),
-        upload: { onprogress: null },
-        onload: null,
-        onerror: null,
-        onabort: null,
-        status: 200,
-        responseText: '{"success":true}'
-      };
-      
-      global.XMLHttpRequest = vi.fn(() => mockXHR);
+      requests = [];
+      global.XMLHttpRequest = MockXHR;
     });
-    
+
     afterEach(() => {
-        vi.restoreAllMocks();
+      delete global.XMLHttpRequest;
     });
 
     it('should upload file and track progress', async () => {
       const { upload, progress, data, isUploading } = useUpload('https://api.example.com/upload');
-      
+
       const uploadPromise = upload(new Blob(['content']), { fieldName: 'file' });
-      
       expect(isUploading.value).toBe(true);
-      expect(mockXHR.open).toHaveBeenCalledWith('POST', 'https://api.example.com/upload');
-      
+      await flush();
+
+      const [xhr] = requests;
+      expect(xhr.method).toBe('POST');
+      expect(xhr.url).toBe('https://api.example.com/upload');
+
       // Simulate progress
-      mockXHR.upload.onprogress({ lengthComputable: true, loaded: 50, total: 100 });
+      xhr.upload.onprogress({ lengthComputable: true, loaded: 50, total: 100 });
       expect(progress.value).toBe(50);
-      
+
       // Simulate complete
-      mockXHR.onload();
+      xhr.respond(200, '{"success":true}');
       await uploadPromise;
-      
+
       expect(progress.value).toBe(100);
       expect(isUploading.value).toBe(false);
       expect(data.value).toEqual({ success: true });
     });
-    
+
+    it('should upload through fetch when XMLHttpRequest is unavailable', async () => {
+      global.XMLHttpRequest = undefined;
+      global.fetch.mockResolvedValue(new Response('{"success":true}', {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+      }));
+      const { upload, data, error } = useUpload('https://api.example.com/upload');
+
+      await upload(new Blob(['content']));
+
+      expect(error.value).toBeNull();
+      expect(data.value).toEqual({ success: true });
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://api.example.com/upload',
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+
     it('should handle errors', async () => {
-        const { upload, error } = useUpload('https://api.example.com/upload');
-        
-        mockXHR.status = 500;
-        mockXHR.statusText = 'Server Error';
-        
-        try {
-            const p = upload(new Blob(['']));
-            mockXHR.onload();
-            await p;
-        } catch (e) {
-            expect(error.value.message).toContain('Upload failed: Server Error');
+      const { upload, error } = useUpload('https://api.example.com/upload');
+
+      const p = upload(new Blob(['']));
+      await flush();
+      requests[0].respond(500, '{"message":"boom"}', 'Server Error');
+
+      await expect(p).rejects.toThrow('HTTP 500: Server Error');
+      expect(error.value).toBeInstanceOf(HttpError);
+      expect(error.value.response).toEqual({ message: 'boom' });
+    });
+
+    it('should go through the client config and interceptors', async () => {
+      const client = createClient({ baseURL: 'https://api.example.com' });
+      client.interceptors.request.use(config => ({
+        ...config,
+        headers: { ...config.headers, Authorization: 'Bearer token' }
+      }));
+
+      const { upload } = useUpload('/files', { client });
+      const p = upload(new File(['x'], 'a.txt'));
+      await flush();
+
+      const [xhr] = requests;
+      expect(xhr.url).toBe('https://api.example.com/files');
+      expect(xhr.headers.Authorization).toBe('Bearer token');
+      expect(xhr.headers['Content-Type']).toBeUndefined();
+      expect(xhr.body.get('file').name).toBe('a.txt');
+
+      xhr.respond(201, '{"id":1}');
+      await expect(p).resolves.toEqual({ id: 1 });
+    });
+
+    it('should report upload progress from http.post', async () => {
+      const onUploadProgress = vi.fn();
+      const p = http.post('/api/data', { a: 1 }, { onUploadProgress });
+      await flush();
+
+      requests[0].upload.onprogress({ lengthComputable: true, loaded: 4, total: 8 });
+      requests[0].respond(200, '{}');
+      await p;
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(requests[0].body).toBe('{"a":1}');
+      expect(onUploadProgress).toHaveBeenCalledWith({ loaded: 4, total: 8, percent: 50 });
+    });
+
+    it('should track several files and resume only the failed ones', async () => {
+      const { upload, retry, files, progress, data } = useUpload('/files');
+      const first = new File(['aa'], 'a.txt');
+      const second = new File(['bbbb'], 'b.txt');
+
+      const p = upload([first, second]);
+      await flush();
+      expect(requests).toHaveLength(2);
+
+      requests[0].upload.onprogress({ lengthComputable: true, loaded: 2, total: 2 });
+      expect(files.value[0].progress).toBe(100);
+      expect(progress.value).toBe(33);
+
+      requests[0].respond(200, '{"name":"a"}');
+      requests[1].respond(500, '{}', 'Server Error');
+      await expect(p).rejects.toThrow('HTTP 500');
+
+      expect(files.value.map(file => file.status)).toEqual(['success', 'error']);
+
+      const resumed = retry();
+      await flush();
+      expect(requests).toHaveLength(3);
+      expect(requests[2].body.get('file').name).toBe('b.txt');
+
+      requests[2].respond(200, '{"name":"b"}');
+      await resumed;
+
+      expect(data.value).toEqual([{ name: 'a' }, { name: 'b' }]);
+      expect(progress.value).toBe(100);
+    });
+
+    it('should cancel in-flight uploads', async () => {
+      const { upload, cancel, isUploading, files } = useUpload('/files');
+      const p = upload(new File(['x'], 'a.txt'));
+      await flush();
+
+      cancel();
+      await p;
+
+      expect(isUploading.value).toBe(false);
+      expect(files.value[0].status).toBe('cancelled');
+    });
+  });
+
+  describe('Cancellation', () => {
+    const okResponse = (body = '{}') => ({
+      ok: true,
+      status: 200,
+      statusText: 'OK',
+      headers: new Map(),
+      text: () => Promise.resolve(body),
+      clone: () => ({ text: () => Promise.resolve(body) })
+    });
+
+    // A fetch that only settles when aborted
+    const hangingFetch = () => vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    it('should not start a request with an already-aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(createClient().get('/test', { signal: controller.signal }))
+        .rejects.toMatchObject({ message: 'Request aborted', aborted: true });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should abort requests through an external signal', async () => {
+      global.fetch = hangingFetch();
+      const controller = new AbortController();
+      const promise = createClient().get('/test', { signal: controller.signal });
+
+      await Promise.resolve();
+      controller.abort();
+      await expect(promise).rejects.toMatchObject({ aborted: true });
+    });
+
+    it('should cancel every request with cancelAll', async () => {
+      global.fetch = hangingFetch();
+      const client = createClient();
+      const first = client.get('/a');
+      const second = client.post('/b', {});
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(client.cancelAll()).toBe(2);
+      await expect(first).rejects.toMatchObject({ aborted: true });
+      await expect(second).rejects.toMatchObject({ aborted: true });
+    });
+
+    it('should cancel requests in the same tick, before interceptors finish', async () => {
+      global.fetch = vi.fn(() => Promise.resolve(okResponse('{"ok":true}')));
+      const client = createClient();
+      let release;
+      const gate = new Promise(resolve => {
+        release = resolve;
+      });
+      client.interceptors.request.use(config => gate.then(() => config));
+
+      const grouped = client.get('/slow', { cancelGroup: 'g' });
+      const other = client.get('/other');
+      expect(client.cancel('g')).toBe(1);
+      expect(client.cancelAll()).toBe(1);
+      release();
+
+      await expect(grouped).rejects.toMatchObject({ aborted: true });
+      await expect(other).rejects.toMatchObject({ aborted: true });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should cancel only the requested group', async () => {
+      global.fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        if (url === '/other') setTimeout(() => resolve(okResponse('{"ok":true}')), 5);
+      }));
+      const client = createClient();
+      const search = client.get('/search', { cancelGroup: 'search' });
+      const other = client.get('/other', { cancelGroup: 'other' });
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(client.cancel('search')).toBe(1);
+      await expect(search).rejects.toMatchObject({ aborted: true });
+      await expect(other).resolves.toMatchObject({ data: { ok: true } });
+    });
+
+    it('should abort the previous request with the same key', async () => {
+      global.fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        setTimeout(() => resolve(okResponse(JSON.stringify({ url }))), 5);
+      }));
+      const client = createClient();
+      const first = client.get('/search', { params: { q: 'a' }, abortPrevious: true });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const second = client.get('/search', { params: { q: 'ab' }, abortPrevious: true });
+
+      await expect(first).rejects.toMatchObject({ aborted: true });
+      await expect(second).resolves.toMatchObject({ data: { url: '/search?q=ab' } });
+    });
+
+    it('should use a fresh timeout for each retry attempt', async () => {
+      let calls = 0;
+      global.fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+        calls++;
+        if (calls === 1) {
+          signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        } else {
+          expect(signal.aborted).toBe(false);
+          resolve(okResponse('{"attempt":2}'));
+        }
+      }));
+
+      const response = await createClient({ timeout: 10, retries: 1, retryDelay: 1 }).get('/slow');
+      expect(response.data).toEqual({ attempt: 2 });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report timeouts separately from cancellation', async () => {
+      global.fetch = hangingFetch();
+      await expect(createClient({ timeout: 10 }).get('/slow'))
+        .rejects.toMatchObject({ message: 'Request timed out after 10ms', timedOut: true });
+    });
+
+    it('should stop retrying when cancelled during the backoff delay', async () => {
+      global.fetch = vi.fn(() => Promise.resolve({
+        ok: false,
+        status: 503,
+        statusText: 'Unavailable',
+        headers: new Map(),
+        text: () => Promise.resolve(''),
+        clone: () => ({ text: () => Promise.resolve('') })
+      }));
+      const client = createClient({ retries: 3, retryDelay: 1000 });
+      const promise = client.get('/flaky');
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      client.cancelAll();
+      await expect(promise).rejects.toMatchObject({ aborted: true });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Per-client state', () => {
+    const jsonResponse = (body) => ({
+      ok: true,
+      status: 200,
+      statusText: 'OK',
+      headers: new Map(),
+      text: () => Promise.resolve(JSON.stringify(body)),
+      clone: () => ({ text: () => Promise.resolve(JSON.stringify(body)) })
+    });
+
+    beforeEach(() => {
+      global.fetch = vi.fn((url, options) => Promise.resolve(jsonResponse({ url, headers: options.headers })));
+    });
+
+    it('should let rejected response interceptors recover from failed requests', async () => {
+      global.fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+      const client = createClient();
+      const skipped = vi.fn(response => response);
+      client.interceptors.response.use(response => response, error => {
+        throw new Error(`wrapped: ${error.message}`);
+      });
+      client.interceptors.response.use(response => response, (error, config) => ({ data: 'fallback', url: config.url }));
+      client.interceptors.response.use(skipped);
+
+      await expect(client.get('/offline')).resolves.toEqual({ data: 'fallback', url: '/offline' });
+      expect(skipped).not.toHaveBeenCalled();
+    });
+
+    it('should not share interceptors between clients', async () => {
+      const admin = createClient({ baseURL: '/admin' });
+      const publicClient = createClient();
+      admin.interceptors.request.use(config => ({
+        ...config,
+        headers: { ...config.headers, Authorization: 'Bearer admin' }
+      }));
+
+      const adminResponse = await admin.get('/users');
+      const publicResponse = await publicClient.get('/users');
+
+      expect(adminResponse.data.headers.Authorization).toBe('Bearer admin');
+      expect(publicResponse.data.headers.Authorization).toBeUndefined();
+    });
+
+    it('should keep interceptor ids stable after eject', async () => {
+      const client = createClient();
+      const calls = [];
+      const first = client.interceptors.request.use(config => { calls.push('first'); return config; });
+      const second = client.interceptors.request.use(config => { calls.push('second'); return config; });
+      const third = client.interceptors.request.use(config => { calls.push('third'); return config; });
+
+      client.interceptors.request.eject(first);
+      client.interceptors.request.eject(third);
+      await client.get('/test');
+
+      expect([first, second, third]).toEqual([0, 1, 2]);
+      expect(calls).toEqual(['second']);
+    });
+
+    it('should not share cached responses between clients', async () => {
+      const a = createClient({ cache: true });
+      const b = createClient({ cache: true });
+
+      await a.get('/cached');
+      await a.get('/cached');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      await b.get('/cached');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should inherit config and interceptors with extend', async () => {
+      const api = createClient({ baseURL: '/api', headers: { 'X-App': 'web' } });
+      const order = [];
+      api.interceptors.request.use(config => { order.push('parent'); return config; });
+
+      const admin = api.extend({ baseURL: '/api/admin', headers: { 'X-Role': 'admin' } });
+      admin.interceptors.request.use(config => { order.push('child'); return config; });
+      api.interceptors.request.use(config => { order.push('parent-late'); return config; });
+
+      const response = await admin.get('/users');
+      expect(response.data.url).toBe('/api/admin/users');
+      expect(response.data.headers).toMatchObject({ 'X-App': 'web', 'X-Role': 'admin' });
+      expect(order).toEqual(['parent', 'parent-late', 'child']);
+
+      order.length = 0;
+      await api.get('/users');
+      expect(order).toEqual(['parent', 'parent-late']);
+    });
+  });
+
+  describe('useQuery', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should not expose cache internals on the query client', () => {
+      const queryClient = createQueryClient();
+      expect(Object.keys(queryClient).filter(key => key.startsWith('_'))).toEqual([]);
+    });
+
+    it('should share state between queries with the same key', async () => {
+      const queryClient = createQueryClient();
+      const fetcher = vi.fn(async () => [{ id: 1 }]);
+
+      const a = useQuery(['users'], fetcher, { queryClient });
+      const b = useQuery(['users'], fetcher, { queryClient, staleTime: 1000 });
+
+      expect(a.isLoading.value).toBe(true);
+      await flush();
+
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      expect(a.data.value).toEqual([{ id: 1 }]);
+      expect(b.data.value).toBe(a.data.value);
+      expect(b.isSuccess.value).toBe(true);
+    });
+
+    it('should serve stale data while revalidating', async () => {
+      const queryClient = createQueryClient();
+      let version = 1;
+      const fetcher = vi.fn(async () => `v${version++}`);
+
+      useQuery('todos', fetcher, { queryClient });
+      await flush();
+
+      const second = useQuery('todos', fetcher, { queryClient });
+      expect(second.data.value).toBe('v1');
+      expect(second.isFetching.value).toBe(true);
+      expect(second.isLoading.value).toBe(false);
+
+      await flush();
+      expect(second.data.value).toBe('v2');
+    });
+
+    it('should not refetch fresh data within staleTime', async () => {
+      const queryClient = createQueryClient();
+      const fetcher = vi.fn(async () => 'data');
+
+      useQuery('fresh', fetcher, { queryClient, staleTime: 60000 });
+      await flush();
+      useQuery('fresh', fetcher, { queryClient, staleTime: 60000 });
+      await flush();
+
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('should follow reactive keys', async () => {
+      const queryClient = createQueryClient();
+      const id = ref(1);
+      const fetcher = vi.fn(async ({ queryKey }) => `user ${queryKey[1]}`);
+
+      const { data } = useQuery(() => ['user', id.value], fetcher, { queryClient });
+      await flush();
+      expect(data.value).toBe('user 1');
+
+      id.value = 2;
+      await flush();
+      expect(data.value).toBe('user 2');
+      expect(queryClient.getQueryData(['user', 1])).toBe('user 1');
+    });
+
+    it('should wait until enabled', async () => {
+      const queryClient = createQueryClient();
+      const enabled = ref(false);
+      const fetcher = vi.fn(async () => 'ok');
+
+      const { data } = useQuery('gated', fetcher, { queryClient, enabled });
+      await flush();
+      expect(fetcher).not.toHaveBeenCalled();
+
+      enabled.value = true;
+      await flush();
+      expect(data.value).toBe('ok');
+    });
+
+    it('should refetch invalidated queries by prefix', async () => {
+      const queryClient = createQueryClient();
+      const users = vi.fn(async () => 'users');
+      const posts = vi.fn(async () => 'posts');
+
+      useQuery(['users', { page: 1 }], users, { queryClient, staleTime: Infinity });
+      useQuery(['posts'], posts, { queryClient, staleTime: Infinity });
+      await flush();
+
+      await queryClient.invalidateQueries(['users']);
+      expect(users).toHaveBeenCalledTimes(2);
+      expect(posts).toHaveBeenCalledTimes(1);
+    });
+
+    it('should update observers with setQueryData', async () => {
+      const queryClient = createQueryClient();
+      const { data } = useQuery('count', async () => 1, { queryClient, staleTime: Infinity });
+      await flush();
+
+      queryClient.setQueryData('count', old => old + 1);
+      expect(data.value).toBe(2);
+    });
+
+    it('should prefetch into the cache', async () => {
+      const queryClient = createQueryClient();
+      const fetcher = vi.fn(async () => 'warm');
+
+      await queryClient.prefetchQuery('warm', fetcher);
+      expect(queryClient.getQueryData('warm')).toBe('warm');
+
+      const { data } = useQuery('warm', fetcher, { queryClient, staleTime: 1000 });
+      expect(data.value).toBe('warm');
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('should garbage collect unused entries after cacheTime', async () => {
+      vi.useFakeTimers();
+      const queryClient = createQueryClient({ cacheTime: 1000 });
+      const scope = effectScope();
+
+      scope.run(() => useQuery('temp', async () => 'x', { queryClient }));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(queryClient.getQueryData('temp')).toBe('x');
+
+      scope.stop();
+      await vi.advanceTimersByTimeAsync(999);
+      expect(queryClient.getQueryData('temp')).toBe('x');
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(queryClient.getQueryData('temp')).toBeUndefined();
+    });
+
+    it('should refetch on window focus, reconnect and interval', async () => {
+      vi.useFakeTimers();
+      const queryClient = createQueryClient();
+      const fetcher = vi.fn(async () => 'data');
+      const scope = effectScope();
+
+      scope.run(() => useQuery('live', fetcher, { queryClient, refetchInterval: 5000 }));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+
+      window.dispatchEvent(new Event('focus'));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(fetcher).toHaveBeenCalledTimes(2);
+
+      window.dispatchEvent(new Event('online'));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(fetcher).toHaveBeenCalledTimes(3);
+
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(fetcher).toHaveBeenCalledTimes(4);
+
+      scope.stop();
+      window.dispatchEvent(new Event('focus'));
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(fetcher).toHaveBeenCalledTimes(4);
+    });
+
+    it('should expose errors', async () => {
+      const queryClient = createQueryClient();
+      const { error, isError, data } = useQuery('broken', async () => {
+        throw new Error('boom');
+      }, { queryClient });
+
+      await flush();
+      expect(isError.value).toBe(true);
+      expect(error.value.message).toBe('boom');
+      expect(data.value).toBeUndefined();
+    });
+  });
+
+  describe('useMutation', () => {
+    it('should expose pending, data and error state', async () => {
+      let resolve;
+      const { mutate, isPending, data, isSuccess, variables } = useMutation(
+        (vars) => new Promise(r => { resolve = () => r({ id: 1, ...vars }); })
+      );
+
+      const promise = mutate({ name: 'a' });
+      expect(isPending.value).toBe(true);
+      expect(variables.value).toEqual({ name: 'a' });
+
+      resolve();
+      await promise;
+      expect(isPending.value).toBe(false);
+      expect(isSuccess.value).toBe(true);
+      expect(data.value).toEqual({ id: 1, name: 'a' });
+    });
+
+    it('should call lifecycle hooks in order', async () => {
+      const calls = [];
+      const { mutateAsync } = useMutation(async (n) => n * 2, {
+        onMutate: (n) => { calls.push(`mutate:${n}`); return { started: true }; },
+        onSuccess: (result, n, context) => calls.push(`success:${result}:${context.started}`),
+        onError: () => calls.push('error'),
+        onSettled: (result, error) => calls.push(`settled:${result}:${error}`)
+      });
+
+      await expect(mutateAsync(2)).resolves.toBe(4);
+      expect(calls).toEqual(['mutate:2', 'success:4:true', 'settled:4:null']);
+    });
+
+    it('should roll back optimistic updates when the request fails', async () => {
+      const queryClient = createQueryClient();
+      queryClient.setQueryData(['todos'], ['a']);
+      const seen = [];
+
+      const { mutate, error, isError } = useMutation(async () => {
+        seen.push(queryClient.getQueryData(['todos']));
+        throw new HttpError('HTTP 500: Server Error', 500);
+      }, {
+        queryClient,
+        optimistic: {
+          queryKey: ['todos'],
+          updater: (old, todo) => [...old, todo]
+        }
+      });
+
+      await mutate('b');
+      expect(seen).toEqual([['a', 'b']]);
+      expect(queryClient.getQueryData(['todos'])).toEqual(['a']);
+      expect(isError.value).toBe(true);
+      expect(error.value.status).toBe(500);
+    });
+
+    it('should keep optimistic updates when onSuccess throws', async () => {
+      const queryClient = createQueryClient();
+      queryClient.setQueryData(['todos'], ['a']);
+
+      const { mutate, isError } = useMutation(async () => 'ok', {
+        queryClient,
+        optimistic: {
+          queryKey: ['todos'],
+          updater: (old, todo) => [...old, todo]
+        },
+        onSuccess: () => {
+          throw new Error('handler bug');
         }
+      });
+
+      await mutate('b');
+      expect(queryClient.getQueryData(['todos'])).toEqual(['a', 'b']);
+      expect(isError.value).toBe(true);
+    });
+
+    it('should run rollbacks returned from onMutate', async () => {
+      const rollback = vi.fn();
+      const { mutate } = useMutation(async () => {
+        throw new Error('nope');
+      }, {
+        onMutate: () => ({ rollback })
+      });
+
+      await mutate();
+      expect(rollback).toHaveBeenCalled();
+    });
+
+    it('should send URL mutations through the given client', async () => {
+      const mock = createMockAdapter();
+      mock.onPut('/api/todos').reply(200, { saved: true });
+      const client = createClient({ adapter: mock });
+
+      const { mutateAsync } = useMutation('/api/todos', { client, method: 'PUT' });
+
+      await expect(mutateAsync({ title: 'x' })).resolves.toEqual({ saved: true });
+      expect(mock.history.put[0].data).toEqual({ title: 'x' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should invalidate queries on success', async () => {
+      const queryClient = createQueryClient();
+      const fetcher = vi.fn(async () => 'list');
+      useQuery(['todos'], fetcher, { queryClient, staleTime: Infinity });
+      await flush();
+
+      const { mutateAsync } = useMutation(async () => 'created', {
+        queryClient,
+        invalidateQueries: ['todos']
+      });
+
+      await mutateAsync();
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it('should post variables when given a URL', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 201,
+        statusText: 'Created',
+        headers: new Map(),
+        text: () => Promise.resolve('{"id":7}'),
+        clone: () => ({ text: () => Promise.resolve('{"id":7}') })
+      });
+
+      const { mutateAsync } = useMutation('/api/todos');
+      await expect(mutateAsync({ title: 'x' })).resolves.toEqual({ id: 7 });
+      expect(global.fetch).toHaveBeenCalledWith('/api/todos', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ title: 'x' })
+      }));
+    });
+
+    it('should reject from mutate only with throwOnError', async () => {
+      const failing = async () => {
+        throw new Error('fail');
+      };
+
+      await expect(useMutation(failing).mutate()).resolves.toBeNull();
+      await expect(useMutation(failing, { throwOnError: true }).mutate()).rejects.toThrow('fail');
+    });
+  });
+
+  describe('useInfiniteFetch', () => {
+    const fakeClient = (handler) => ({
+      request: vi.fn(async (config) => handler(config))
+    });
+
+    it('should accumulate pages by cursor', async () => {
+      const client = fakeClient(({ params }) => ({
+        data: params.cursor === 'b'
+          ? { items: [3], nextCursor: null }
+          : { items: [1, 2], nextCursor: 'b' },
+        headers: {}
+      }));
+
+      const feed = useInfiniteFetch('/api/feed', { client });
+      await flush();
+
+      expect(feed.items.value).toEqual([1, 2]);
+      expect(feed.hasNextPage.value).toBe(true);
+
+      const pending = feed.fetchNextPage();
+      expect(feed.isFetchingNextPage.value).toBe(true);
+      await pending;
+
+      expect(feed.items.value).toEqual([1, 2, 3]);
+      expect(feed.pageParams.value).toEqual([undefined, 'b']);
+      expect(feed.hasNextPage.value).toBe(false);
+      await expect(feed.fetchNextPage()).resolves.toBeNull();
+      expect(client.request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should page by offset and stop on a short page', async () => {
+      const rows = [1, 2, 3, 4, 5];
+      const client = fakeClient(({ params }) => ({
+        data: rows.slice(params.offset, params.offset + params.limit),
+        headers: {}
+      }));
+
+      const list = useInfiniteFetch('/api/rows', { client, strategy: 'offset', limit: 2 });
+      await flush();
+      await list.fetchNextPage();
+      await list.fetchNextPage();
+
+      expect(list.items.value).toEqual(rows);
+      expect(list.pageParams.value).toEqual([0, 2, 4]);
+      expect(list.hasNextPage.value).toBe(false);
+    });
+
+    it('should follow Link headers', async () => {
+      const client = fakeClient(({ url }) => url === '/api/repos'
+        ? { data: ['a'], headers: { link: '</api/repos?page=2>; rel="next", </api/repos?page=9>; rel="last"' } }
+        : { data: ['b'], headers: { link: '</api/repos>; rel="prev"' } });
+
+      const repos = useInfiniteFetch('/api/repos', { client, strategy: 'link', params: { per_page: 50 } });
+      await flush();
+      await repos.fetchNextPage();
+
+      expect(client.request).toHaveBeenCalledWith(expect.objectContaining({ url: '/api/repos', params: { per_page: 50 } }));
+      expect(client.request).toHaveBeenLastCalledWith(expect.objectContaining({ url: '/api/repos?page=2' }));
+      expect(client.request.mock.lastCall[0].params).toBeUndefined();
+      expect(repos.items.value).toEqual(['a', 'b']);
+      expect(repos.hasNextPage.value).toBe(false);
+    });
+
+    it('should use custom page params and prepend previous pages', async () => {
+      const client = fakeClient(({ params }) => ({ data: { page: params.page, items: [params.page] }, headers: {} }));
+
+      const list = useInfiniteFetch('/api/list', {
+        client,
+        pageParam: 'page',
+        initialPageParam: 2,
+        getNextPageParam: last => last.page < 3 ? last.page + 1 : undefined,
+        getPreviousPageParam: first => first.page > 1 ? first.page - 1 : undefined
+      });
+      await flush();
+      await list.fetchPreviousPage();
+      await list.fetchNextPage();
+
+      expect(list.items.value).toEqual([1, 2, 3]);
+      expect(list.hasPreviousPage.value).toBe(false);
+      expect(list.hasNextPage.value).toBe(false);
+    });
+
+    it('should expose errors and keep loaded pages', async () => {
+      let fail = false;
+      const client = fakeClient(() => {
+        if (fail) throw new HttpError('HTTP 500: Server Error', 500);
+        return { data: { items: [1], nextCursor: 'x' }, headers: {} };
+      });
+
+      const feed = useInfiniteFetch('/api/feed', { client });
+      await flush();
+      fail = true;
+
+      await expect(feed.fetchNextPage()).resolves.toBeNull();
+      expect(feed.error.value.status).toBe(500);
+      expect(feed.items.value).toEqual([1]);
+      expect(feed.hasNextPage.value).toBe(true);
+    });
+  });
+
+  describe('usePaginatedFetch', () => {
+    it('should refetch when the page changes', async () => {
+      global.fetch.mockImplementation(async (url) => {
+        const page = new URL(url, 'http://localhost').searchParams.get('page');
+        const body = JSON.stringify([`item-${page}`]);
+        return {
+          ok: true,
+          status: 200,
+          statusText: 'OK',
+          headers: new Map([['x-total-count', '3']]),
+          text: () => Promise.resolve(body),
+          clone: () => ({ text: () => Promise.resolve(body) })
+        };
+      });
+
+      const list = usePaginatedFetch('/api/items', { pageSize: 1 });
+      await flush();
+
+      expect(list.data.value).toEqual(['item-1']);
+      expect(list.pageCount.value).toBe(3);
+      expect(list.hasPreviousPage.value).toBe(false);
+
+      list.goTo(3);
+      await flush();
+      expect(global.fetch).toHaveBeenLastCalledWith('/api/items?page=3&limit=1', expect.anything());
+      expect(list.data.value).toEqual(['item-3']);
+      expect(list.hasNextPage.value).toBe(false);
+
+      list.next();
+      list.prev();
+      await flush();
+      expect(list.page.value).toBe(2);
+      expect(list.data.value).toEqual(['item-2']);
+    });
+  });
+
+  describe('HTTP cache mode', () => {
+    const reply = (status, body, headers = {}) => ({
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: status === 304 ? 'Not Modified' : 'OK',
+      headers: new Map(Object.entries(headers)),
+      text: () => Promise.resolve(body),
+      clone: () => ({ text: () => Promise.resolve(body) })
+    });
+
+    it('should serve fresh responses from the cache', async () => {
+      const client = createClient({ cache: 'http' });
+      global.fetch.mockResolvedValueOnce(reply(200, '{"n":1}', { 'cache-control': 'max-age=60' }));
+
+      await client.get('/fresh');
+      const second = await client.get('/fresh');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(second.data).toEqual({ n: 1 });
+    });
+
+    it('should revalidate with ETag and treat 304 as a hit', async () => {
+      const client = createClient({ cache: 'http' });
+      global.fetch
+        .mockResolvedValueOnce(reply(200, '{"n":1}', { etag: '"abc"', 'cache-control': 'no-cache' }))
+        .mockResolvedValueOnce(reply(304, '', { etag: '"abc"' }));
+
+      await client.get('/etag');
+      const second = await client.get('/etag');
+
+      expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"abc"');
+      expect(second.status).toBe(200);
+      expect(second.data).toEqual({ n: 1 });
+    });
+
+    it('should bypass the cache for no-store requests', async () => {
+      const client = createClient({ cache: 'http' });
+      global.fetch.mockImplementation(async () => reply(200, '{}', { 'cache-control': 'max-age=60' }));
+
+      await client.get('/bypass');
+      await client.get('/bypass', { headers: { 'Cache-Control': 'no-store' } });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should honour the ttl given to cache.set()', () => {
+      vi.useFakeTimers();
+      try {
+        const client = createClient();
+        client.cache.set('short', 1, 1000);
+        client.cache.set('default', 2);
+
+        vi.advanceTimersByTime(2000);
+        expect(client.cache.has('short')).toBe(false);
+        expect(client.cache.has('default')).toBe(true);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('Streaming and download progress', () => {
+    const encoder = new TextEncoder();
+    const streamOf = (parts) => new ReadableStream({
+      start(controller) {
+        parts.forEach(part => controller.enqueue(encoder.encode(part)));
+        controller.close();
+      }
+    });
+
+    it('should report download progress from Content-Length', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(streamOf(['{"a":', '1}']), {
+        headers: { 'content-length': '7' }
+      }));
+      const onDownloadProgress = vi.fn();
+
+      const response = await http.get('/download', { onDownloadProgress });
+
+      expect(response.data).toEqual({ a: 1 });
+      expect(onDownloadProgress.mock.calls.map(([event]) => event)).toEqual([
+        { loaded: 5, total: 7, percent: 71 },
+        { loaded: 7, total: 7, percent: 100 }
+      ]);
+    });
+
+    it('should report an unknown total without a percent', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(streamOf(['hello'])));
+      const onDownloadProgress = vi.fn();
+
+      await http.get('/download', { responseType: 'text', onDownloadProgress });
+      expect(onDownloadProgress).toHaveBeenCalledWith({ loaded: 5, total: 0, percent: null });
+    });
+
+    it('should hand back raw chunks for responseType stream', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(streamOf(['ab', 'c'])));
+
+      const response = await http.get('/export', { responseType: 'stream' });
+      const chunks = [];
+      for await (const chunk of response.data) {
+        chunks.push(new TextDecoder().decode(chunk));
+      }
+
+      expect(chunks).toEqual(['ab', 'c']);
+    });
+
+    it('should decode NDJSON across chunk boundaries', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(streamOf(['{"id":1}\n{"id"', ':2}\n\n{"id":3}'])));
+
+      const response = await http.get('/export', { responseType: 'stream', streamDecoder: 'ndjson' });
+      const rows = [];
+      for await (const row of response.data) {
+        rows.push(row);
+      }
+
+      expect(rows).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    });
+
+    it('should decode text lines', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(streamOf(['one\r\ntw', 'o\nthree'])));
+
+      const response = await http.get('/log', { responseType: 'stream', streamDecoder: 'lines' });
+      const lines = [];
+      for await (const line of response.data) {
+        lines.push(line);
+      }
+
+      expect(lines).toEqual(['one', 'two', 'three']);
+    });
+
+    it('should cancel the body when iteration stops early', async () => {
+      const cancel = vi.fn();
+      const body = new ReadableStream({
+        pull(controller) {
+          controller.enqueue(encoder.encode('x'));
+        },
+        cancel
+      });
+      global.fetch.mockResolvedValueOnce(new Response(body));
+
+      const response = await http.get('/endless', { responseType: 'stream' });
+      for await (const chunk of response.data) {
+        expect(chunk.byteLength).toBe(1);
+        break;
+      }
+
+      expect(cancel).toHaveBeenCalled();
+    });
+  });
+
+  describe('Adapters', () => {
+    it('should send requests through a custom adapter', async () => {
+      const adapter = vi.fn(async () => new Response('{"ok":true}', { status: 200 }));
+      const client = createClient({ adapter });
+
+      const response = await client.post('/items', { a: 1 });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(response.data).toEqual({ ok: true });
+      expect(adapter).toHaveBeenCalledWith(
+        '/items',
+        expect.objectContaining({ method: 'POST', body: '{"a":1}' }),
+        expect.objectContaining({ data: { a: 1 } })
+      );
+    });
+
+    it('should reject unknown adapters', async () => {
+      const client = createClient({ adapter: 'carrier-pigeon' });
+      await expect(client.get('/x')).rejects.toThrow('Unknown HTTP adapter "carrier-pigeon"');
+    });
+
+    it('should not leave a cancel registration behind for unknown adapters', async () => {
+      const client = createClient({ adapter: 'carrier-pigeon' });
+      await expect(client.get('/x', { cancelGroup: 'g' })).rejects.toThrow('Unknown HTTP adapter');
+      expect(client.cancel('g')).toBe(0);
+    });
+  });
+
+  describe('Retry policy', () => {
+    let mock;
+
+    beforeEach(() => {
+      mock = createMockAdapter();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('should not retry POST without an idempotency key', async () => {
+      mock.onPost('/orders').reply(503);
+      const client = createClient({ adapter: mock, retries: 2, retryDelay: 0 });
+
+      await expect(client.post('/orders', {})).rejects.toMatchObject({ status: 503 });
+      expect(mock.history.post).toHaveLength(1);
+    });
+
+    it('should retry POST with one Idempotency-Key across attempts', async () => {
+      mock.onPost('/orders').replyOnce(503).onPost('/orders').reply(201, { id: 1 });
+      const client = createClient({ adapter: mock, retries: 2, retryDelay: 0 });
+
+      await client.post('/orders', {}, { idempotencyKey: true });
+
+      const keys = mock.history.post.map(request => request.headers['Idempotency-Key']);
+      expect(keys).toHaveLength(2);
+      expect(keys[0]).toBeTruthy();
+      expect(keys[1]).toBe(keys[0]);
+    });
+
+    it('should only send an Idempotency-Key for non-idempotent methods', async () => {
+      mock.onAny('/orders').reply(200, {});
+      const client = createClient({ adapter: mock, idempotencyKey: true });
+
+      await client.get('/orders');
+      await client.put('/orders', {});
+      await client.post('/orders', {});
+
+      expect(mock.history.get[0].headers['Idempotency-Key']).toBeUndefined();
+      expect(mock.history.put[0].headers['Idempotency-Key']).toBeUndefined();
+      expect(mock.history.post[0].headers['Idempotency-Key']).toBeTruthy();
+    });
+
+    it('should honour Retry-After in seconds and call onRetry', async () => {
+      vi.useFakeTimers();
+      mock.onGet('/busy').replyOnce(429, {}, { 'Retry-After': '2' }).onGet('/busy').reply(200, {});
+      const onRetry = vi.fn();
+      const client = createClient({ adapter: mock, retries: 1, retryDelay: 10, onRetry });
+
+      const request = client.get('/busy');
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(mock.history.get).toHaveLength(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await expect(request).resolves.toMatchObject({ status: 200 });
+      expect(onRetry).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 429 }),
+        expect.objectContaining({ attempt: 1, delay: 2000 })
+      );
+    });
+
+    it('should honour Retry-After dates and give up beyond retryDelayMax', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-10-19T12:00:00Z'));
+      mock.onGet('/later').reply(503, {}, { 'Retry-After': 'Mon, 19 Oct 2026 13:00:00 GMT' });
+      const client = createClient({ adapter: mock, retries: 3, retryDelayMax: 60000 });
+
+      await expect(client.get('/later')).rejects.toMatchObject({ status: 503 });
+      expect(mock.history.get).toHaveLength(1);
+    });
+
+    it('should cap and jitter backoff delays', async () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+      mock.onGet('/flaky').reply(500);
+      const delays = [];
+      const client = createClient({
+        adapter: mock,
+        retries: 3,
+        retryDelay: 0,
+        onRetry: (error, { delay }) => delays.push(delay)
+      });
+
+      await client.get('/flaky', { retryBackoff: 'exponential', retryDelay: 1, retryDelayMax: 3 }).catch(() => {});
+      expect(delays).toEqual([1, 2, 3]);
+
+      delays.length = 0;
+      await client.get('/flaky', { retryBackoff: 'full-jitter', retryDelay: 10, retryDelayMax: 1000 }).catch(() => {});
+      expect(delays).toEqual([5, 10, 20]);
+
+      delays.length = 0;
+      await client.get('/flaky', { retryBackoff: 'decorrelated-jitter', retryDelay: 2, retryDelayMax: 1000 }).catch(() => {});
+      // base + random * (previous * 3 - base)
+      expect(delays).toEqual([4, 7, 12]);
     });
   });
 });
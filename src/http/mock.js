@@ -0,0 +1,298 @@
+/**
+ * MonkeysJS - Mock Adapter
+ * Route-based transport for testing code that uses the HTTP client without a server
+ */
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+/**
+ * Compile a route pattern into a matcher returning the route params, or null
+ * Strings may contain :params and * wildcards; RegExps and functions are used as they are.
+ */
+function compileMatcher(pattern) {
+  if (pattern === undefined) {
+    return () => ({});
+  }
+
+  if (typeof pattern === 'function') {
+    return (path, request) => pattern(request) ? {} : null;
+  }
+
+  if (pattern instanceof RegExp) {
+    return (path, request) => {
+      const match = pattern.exec(request.url) || pattern.exec(path);
+      return match ? { ...match.groups } : null;
+    };
+  }
+
+  const names = [];
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+  const regex = new RegExp(`^${source}/?$`);
+  const absolute = /^https?:\/\//.test(pattern);
+
+  return (path, request) => {
+    const match = regex.exec(absolute ? request.url.split('?')[0] : path);
+    if (!match) return null;
+    const params = {};
+    names.forEach((name, i) => {
+      params[name] = decodeURIComponent(match[i + 1]);
+    });
+    return params;
+  };
+}
+
+/**
+ * Check a request body against a partial body matcher
+ */
+function matchesBody(matcher, request) {
+  if (matcher === undefined) return true;
+  if (typeof matcher === 'function') return matcher(request.data, request);
+  if (matcher === null || typeof matcher !== 'object') return request.data === matcher;
+  if (request.data === null || typeof request.data !== 'object') return false;
+
+  return Object.keys(matcher).every(key =>
+    JSON.stringify(request.data[key]) === JSON.stringify(matcher[key])
+  );
+}
+
+/**
+ * Wait, rejecting with an AbortError when the signal aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException('The request was aborted', 'AbortError');
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    if (!ms) {
+      resolve();
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(abortError());
+    };
+    const timeoutId = ms === Infinity ? null : setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Build a Response from a status, body and headers
+ */
+function toResponse(status, body, headers = {}) {
+  const responseHeaders = new Headers(headers);
+  const noBody = [101, 204, 205, 304].includes(status) || body === undefined || body === null;
+  let payload = null;
+
+  if (!noBody) {
+    if (typeof body === 'string' || body instanceof Blob || body instanceof ArrayBuffer || body instanceof ReadableStream) {
+      payload = body;
+    } else {
+      payload = JSON.stringify(body);
+      if (!responseHeaders.has('content-type')) {
+        responseHeaders.set('content-type', 'application/json');
+      }
+    }
+  }
+
+  return new Response(payload, { status, headers: responseHeaders });
+}
+
+/**
+ * Parse a request body back into data for matching and history
+ */
+function readBody(body) {
+  if (typeof body !== 'string') return body ?? null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Create a mock transport for createClient({ adapter })
+ * @param {Object} options - { delay: default delay in ms, onNoMatch: 'error' | 'passthrough' }
+ * @returns {Function} - The adapter, with route and history helpers attached
+ */
+export function createMockAdapter(options = {}) {
+  const { delay: defaultDelay = 0, onNoMatch = 'error' } = options;
+
+  const routes = [];
+  // Recorded requests, all together and by lowercase method
+  const history = { all: [] };
+  METHODS.forEach(method => {
+    history[method] = [];
+  });
+
+  /**
+   * The adapter itself, called by the client as (url, init, config)
+   */
+  async function adapter(url, init = {}, config = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const parsed = new URL(url, 'http://localhost');
+    const request = {
+      method,
+      url,
+      path: parsed.pathname,
+      query: Object.fromEntries(parsed.searchParams.entries()),
+      params: {},
+      headers: { ...init.headers },
+      data: config.data !== undefined ? config.data : readBody(init.body),
+      body: init.body,
+      config
+    };
+
+    history.all.push(request);
+    history[method.toLowerCase()]?.push(request);
+
+    const route = routes.find(candidate => {
+      if (candidate.method !== 'ANY' && candidate.method !== method) return false;
+      if (candidate.once && candidate.used) return false;
+      const params = candidate.match(request.path, request);
+      if (!params || !matchesBody(candidate.body, request)) return false;
+      request.params = params;
+      return true;
+    });
+
+    if (!route || !route.handler) {
+      if (onNoMatch === 'passthrough') {
+        const { onUploadProgress, ...fetchOptions } = init;
+        return fetch(url, fetchOptions);
+      }
+      return toResponse(404, { message: `No mock matches ${method} ${request.path}` });
+    }
+
+    route.used = true;
+    await wait(route.delay ?? defaultDelay, init.signal);
+
+    if (init.onUploadProgress && init.body != null) {
+      const size = typeof init.body === 'string' ? init.body.length : (init.body.size || 0);
+      init.onUploadProgress({ loaded: size, total: size, percent: size ? 100 : null });
+    }
+
+    return route.handler(request, init);
+  }
+
+  /**
+   * Register a route and return its reply builder
+   */
+  function on(method, pattern, body) {
+    const route = {
+      method,
+      match: compileMatcher(pattern),
+      body,
+      handler: null,
+      delay: undefined,
+      once: false,
+      used: false
+    };
+    routes.push(route);
+
+    const builder = {
+      /**
+       * Reply with a status, body and headers, or compute them from the request
+       * A function may return [status, body, headers] or a Promise of it.
+       */
+      reply(status, responseBody, headers) {
+        route.handler = async (request) => {
+          if (typeof status === 'function') {
+            const [s, b, h] = await status(request);
+            return toResponse(s, b, h);
+          }
+          return toResponse(status, responseBody, headers);
+        };
+        return adapter;
+      },
+
+      /**
+       * Like reply(), but only for the first matching request
+       */
+      replyOnce(status, responseBody, headers) {
+        route.once = true;
+        return builder.reply(status, responseBody, headers);
+      },
+
+      /**
+       * Delay this route's response
+       */
+      delay(ms) {
+        route.delay = ms;
+        return builder;
+      },
+
+      /**
+       * Fail as if the network were down
+       */
+      networkError() {
+        route.handler = () => Promise.reject(new TypeError('Network request failed'));
+        return adapter;
+      },
+
+      /**
+       * Never respond, so the client's timeout or cancellation applies
+       */
+      timeout() {
+        route.handler = (request, init) => wait(Infinity, init.signal);
+        return adapter;
+      },
+
+      /**
+       * Send matching requests to the real fetch
+       */
+      passThrough() {
+        route.handler = (request, init) => {
+          const { onUploadProgress, ...fetchOptions } = init;
+          return fetch(request.url, fetchOptions);
+        };
+        return adapter;
+      }
+    };
+
+    return builder;
+  }
+
+  // onGet(), onPost(), ... and onAny()
+  METHODS.forEach(method => {
+    adapter[`on${method[0].toUpperCase()}${method.slice(1)}`] = (pattern, body) => on(method.toUpperCase(), pattern, body);
+  });
+  adapter.onAny = (pattern, body) => on('ANY', pattern, body);
+
+  adapter.history = history;
+
+  /**
+   * Forget recorded requests
+   */
+  adapter.resetHistory = () => {
+    Object.values(history).forEach(list => {
+      list.length = 0;
+    });
+  };
+
+  /**
+   * Remove every route and recorded request
+   */
+  adapter.reset = () => {
+    routes.length = 0;
+    adapter.resetHistory();
+  };
+
+  return adapter;
+}
+
+export default {
+  createMockAdapter
+};
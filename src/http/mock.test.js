@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMockAdapter } from './mock';
+import { createClient, HttpError } from './client';
+
+describe('Mock Adapter', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should reply to matching routes with route params', async () => {
+    const mock = createMockAdapter();
+    mock.onGet('/users/:id').reply(request => [200, { id: Number(request.params.id) }]);
+    const client = createClient({ baseURL: 'https://api.example.com', adapter: mock });
+
+    const response = await client.get('/users/42', { params: { expand: 'team' } });
+
+    expect(response.data).toEqual({ id: 42 });
+    expect(response.headers['content-type']).toBe('application/json');
+    expect(mock.history.get[0]).toMatchObject({
+      path: '/users/42',
+      params: { id: '42' },
+      query: { expand: 'team' }
+    });
+  });
+
+  it('should match methods and partial bodies', async () => {
+    const mock = createMockAdapter();
+    mock.onPost('/users', { role: 'admin' }).reply(403, { message: 'forbidden' });
+    mock.onPost('/users').reply(201, { ok: true });
+    const client = createClient({ adapter: mock });
+
+    await expect(client.post('/users', { name: 'a', role: 'admin' })).rejects.toMatchObject({ status: 403 });
+    await expect(client.post('/users', { name: 'b' })).resolves.toMatchObject({ status: 201 });
+    expect(mock.history.post.map(request => request.data.name)).toEqual(['a', 'b']);
+  });
+
+  it('should reply once and then fall through', async () => {
+    const mock = createMockAdapter();
+    mock.onGet('/flaky').replyOnce(500).onGet('/flaky').reply(200, 'ok');
+    const client = createClient({ adapter: mock, retries: 1, retryDelay: 0, responseType: 'text' });
+
+    const response = await client.get('/flaky');
+    expect(response.data).toBe('ok');
+    expect(mock.history.all).toHaveLength(2);
+  });
+
+  it('should respond with 404 when nothing matches', async () => {
+    const client = createClient({ adapter: createMockAdapter() });
+    const error = await client.get('/missing').catch(e => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(404);
+    expect(error.response.message).toBe('No mock matches GET /missing');
+  });
+
+  it('should simulate network failures', async () => {
+    const mock = createMockAdapter();
+    mock.onAny('/down').networkError();
+    const client = createClient({ adapter: mock });
+
+    await expect(client.get('/down')).rejects.toThrow('Network request failed');
+  });
+
+  it('should delay responses and let the client time out', async () => {
+    vi.useFakeTimers();
+    const mock = createMockAdapter();
+    mock.onGet('/slow').delay(500).reply(200, {});
+    mock.onGet('/hang').timeout();
+    const client = createClient({ adapter: mock, timeout: 100 });
+
+    const slow = client.get('/slow', { timeout: 0 });
+    const hang = client.get('/hang').catch(e => e);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect((await hang).timedOut).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(400);
+    await expect(slow).resolves.toMatchObject({ status: 200 });
+  });
+
+  it('should reset routes and history', async () => {
+    const mock = createMockAdapter();
+    mock.onGet('/a').reply(200, {});
+    const client = createClient({ adapter: mock });
+    await client.get('/a');
+
+    mock.reset();
+    expect(mock.history.all).toHaveLength(0);
+    expect(mock.history.get).toHaveLength(0);
+    await expect(client.get('/a')).rejects.toMatchObject({ status: 404 });
+  });
+});
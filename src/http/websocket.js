@@ -3,7 +3,7 @@
  * Full-featured WebSocket with auto-reconnect, heartbeat, and reactive state
  */
 
-import { reactive, ref } from '../core/reactive.js';
+import { reactive, ref, shallowRef, getCurrentScope, onScopeDispose } from '../core/reactive.js';
 
 // Connection states
 export const WebSocketState = {
@@ -36,17 +36,17 @@ export function useWebSocket(url, options = {}) {
   
   // Reactive state
   const status = ref(WebSocketState.CLOSED);
-  const data = ref(null);
-  const error = ref(null);
+  const data = shallowRef(null);
+  const error = shallowRef(null);
   const lastMessage = ref(null);
   const lastMessageTime = ref(null);
   const reconnectCount = ref(0);
 
   // Refs
-  const ws = ref(null);
-  const heartbeatTimer = ref(null);
-  const heartbeatTimeoutTimer = ref(null);
-  const reconnectTimer = ref(null);
+  const ws = shallowRef(null);
+  const heartbeatTimer = shallowRef(null);
+  const heartbeatTimeoutTimer = shallowRef(null);
+  const reconnectTimer = shallowRef(null);
   const manualClose = ref(false);
   const messageQueue = ref([]);
 
@@ -119,6 +119,14 @@ export function useWebSocket(url, options = {}) {
     }
   }
 
+  // Incremented by every open() and close(), so a connect resolved too late is dropped
+  let connectId = 0;
+
+  const fail = (err) => {
+    error.value = err;
+    status.value = WebSocketState.CLOSED;
+  };
+
   /**
    * Open WebSocket connection
    */
@@ -127,69 +135,92 @@ export function useWebSocket(url, options = {}) {
     
     manualClose.value = false;
     status.value = WebSocketState.CONNECTING;
+    const attempt = ++connectId;
 
     try {
-      ws.value = new WebSocket(url, config.protocols);
+      // url and protocols may be functions, sync or async, so each (re)connect can pick up fresh credentials
+      const target = typeof url === 'function' ? url() : url;
+      const protocols = typeof config.protocols === 'function' ? config.protocols() : config.protocols;
+
+      if (typeof target?.then === 'function' || typeof protocols?.then === 'function') {
+        Promise.all([target, protocols]).then(([resolvedTarget, resolvedProtocols]) => {
+          if (attempt !== connectId || manualClose.value) return;
+          try {
+            connect(resolvedTarget, resolvedProtocols);
+          } catch (err) {
+            fail(err);
+          }
+        }, fail);
+        return;
+      }
 
-      ws.value.onopen = (event) => {
-        status.value = WebSocketState.OPEN;
-        error.value = null;
-        reconnectCount.value = 0;
+      connect(target, protocols);
+    } catch (err) {
+      fail(err);
+    }
+  }
 
-        // Send queued messages
-        while (messageQueue.value.length > 0) {
-          const msg = messageQueue.value.shift();
-          doSend(msg);
-        }
+  /**
+   * Create the socket and wire its events
+   */
+  function connect(target, protocols) {
+    ws.value = new WebSocket(target, protocols);
+
+    ws.value.onopen = (event) => {
+      status.value = WebSocketState.OPEN;
+      error.value = null;
+      reconnectCount.value = 0;
+
+      // Send queued messages
+      while (messageQueue.value.length > 0) {
+        const msg = messageQueue.value.shift();
+        doSend(msg);
+      }
 
-        startHeartbeat();
-        eventHandlers.open.forEach(handler => handler(event));
-      };
+      startHeartbeat();
+      eventHandlers.open.forEach(handler => handler(event));
+    };
 
-      ws.value.onmessage = (event) => {
-        resetHeartbeatTimeout();
-        
-        let msgData = event.data;
-        
-        // Try to parse JSON
-        try {
-          msgData = JSON.parse(event.data);
-        } catch {
-          // Keep as string
-        }
+    ws.value.onmessage = (event) => {
+      resetHeartbeatTimeout();
+      
+      let msgData = event.data;
+      
+      // Try to parse JSON
+      try {
+        msgData = JSON.parse(event.data);
+      } catch {
+        // Keep as string
+      }
 
-        data.value = msgData;
-        lastMessage.value = event.data;
-        lastMessageTime.value = Date.now();
+      data.value = msgData;
+      lastMessage.value = event.data;
+      lastMessageTime.value = Date.now();
 
-        eventHandlers.message.forEach(handler => handler(msgData, event));
-      };
+      eventHandlers.message.forEach(handler => handler(msgData, event));
+    };
 
-      ws.value.onerror = (event) => {
-        error.value = event;
-        eventHandlers.error.forEach(handler => handler(event));
-      };
+    ws.value.onerror = (event) => {
+      error.value = event;
+      eventHandlers.error.forEach(handler => handler(event));
+    };
 
-      ws.value.onclose = (event) => {
-        status.value = WebSocketState.CLOSED;
-        stopHeartbeat();
+    ws.value.onclose = (event) => {
+      status.value = WebSocketState.CLOSED;
+      stopHeartbeat();
 
-        eventHandlers.close.forEach(handler => handler(event));
+      eventHandlers.close.forEach(handler => handler(event));
 
-        // Attempt reconnection
-        if (!manualClose.value && config.reconnect && reconnectCount.value < config.reconnectAttempts) {
-          const delay = getReconnectDelay();
-          reconnectCount.value++;
+      // Attempt reconnection
+      if (!manualClose.value && config.reconnect && reconnectCount.value < config.reconnectAttempts) {
+        const delay = getReconnectDelay();
+        reconnectCount.value++;
 
-          reconnectTimer.value = setTimeout(() => {
-            open();
-          }, delay);
-        }
-      };
-    } catch (err) {
-      error.value = err;
-      status.value = WebSocketState.CLOSED;
-    }
+        reconnectTimer.value = setTimeout(() => {
+          open();
+        }, delay);
+      }
+    };
   }
 
   /**
@@ -197,6 +228,7 @@ export function useWebSocket(url, options = {}) {
    */
   function close(code = 1000, reason = '') {
     manualClose.value = true;
+    connectId++;
     status.value = WebSocketState.CLOSING;
 
     if (reconnectTimer.value) {
@@ -309,6 +341,11 @@ export function useWebSocket(url, options = {}) {
     open();
   }
 
+  // Close the connection when the owning effect scope is disposed
+  if (getCurrentScope()) {
+    onScopeDispose(() => close());
+  }
+
   return {
     // Refs
     status,
@@ -72,4 +72,22 @@ describe('WebSocket Client', () => {
     send({ test: 1 });
     expect(mockWebSocket.send).toHaveBeenCalledWith('{"test":1}');
   });
+
+  it('should resolve async url functions and drop them after close', async () => {
+    let resolveUrl;
+    const { close, status } = useWebSocket(() => new Promise(resolve => {
+      resolveUrl = resolve;
+    }));
+    expect(status.value).toBe(WebSocketState.CONNECTING);
+
+    close();
+    resolveUrl('ws://late');
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(global.WebSocket).not.toHaveBeenCalled();
+
+    const socket = useWebSocket(async () => 'ws://async');
+    await vi.waitFor(() => expect(global.WebSocket).toHaveBeenCalledWith('ws://async', expect.any(Array)));
+    expect(socket.status.value).toBe(WebSocketState.CONNECTING);
+  });
 });
@@ -11,30 +11,88 @@
 // Core Reactive System
 export {
   reactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly,
+  markRaw,
   ref,
+  shallowRef,
+  triggerRef,
   unref,
+  toRef,
+  toRefs,
+  customRef,
+  proxyRefs,
   isRef,
   isReactive,
+  isReadonly,
+  isShallow,
+  isProxy,
   toRaw,
   computed,
+  computedAsync,
   watch,
+  watchEffect,
+  watchPostEffect,
   effect,
   stop,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose,
   batch,
+  nextTick,
   track,
-  trigger
+  trigger,
+  getDependencies,
+  getEffectDependencies
 } from './core/reactive.js';
 
+// Stores
+export {
+  defineStore,
+  registerStorePlugin,
+  MutationType
+} from './core/store.js';
+
+// History
+export {
+  useRefHistory
+} from './core/history.js';
+
+// JSON Patch
+export {
+  applyPatch,
+  diff,
+  PatchError
+} from './core/patch.js';
+
 // HTTP Client
 export {
   createClient,
   useFetch,
   usePolling,
+  useInfiniteFetch,
+  usePaginatedFetch,
+  useQuery,
+  useMutation,
+  useUpload,
+  createQueryClient,
+  queryClient,
   http,
   HttpError,
   RequestState
 } from './http/client.js';
 
+// Auth
+export {
+  withAuth
+} from './http/auth.js';
+
+// Mock transport
+export {
+  createMockAdapter
+} from './http/mock.js';
+
 // WebSocket
 export {
   useWebSocket,
@@ -114,7 +172,12 @@ export {
 
 // Import defaults for namespace
 import reactiveModule from './core/reactive.js';
+import storeModule from './core/store.js';
+import historyModule from './core/history.js';
+import patchModule from './core/patch.js';
 import httpModule from './http/client.js';
+import authModule from './http/auth.js';
+import mockModule from './http/mock.js';
 import wsModule from './http/websocket.js';
 import domModule from './dom/binding.js';
 import formModule from './dom/form.js';
@@ -130,8 +193,19 @@ const MonkeysJS = {
   // Core
   ...reactiveModule,
 
+  // Stores
+  ...storeModule,
+
+  // History
+  ...historyModule,
+
+  // JSON Patch
+  ...patchModule,
+
   // HTTP
   ...httpModule,
+  ...authModule,
+  ...mockModule,
 
   // WebSocket
   ...wsModule,
@@ -172,17 +246,4 @@ const MonkeysJS = {
   }
 };
 
-// Auto-init when used via CDN
-if (typeof window !== 'undefined') {
-  window.MonkeysJS = MonkeysJS;
-  window.$m = MonkeysJS;
-  
-  // Auto-initialize DOM bindings when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      domModule.autoInit();
-    });
-  }
-}
-
 export default MonkeysJS;
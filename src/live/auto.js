@@ -0,0 +1,27 @@
+/**
+ * MonkeysJS Live — Auto-boot Entry
+ *
+ * Opt-in entry that boots the live runtime when @liveScripts has
+ * injected `window.__ML_LIVE_CONFIG`. Importing `monkeysjs/live`
+ * has no side effects; import `monkeysjs/live/auto` instead.
+ *
+ * @module monkeysjs/live/auto
+ */
+
+import { MLLive } from './index.js';
+
+if (typeof window !== 'undefined') {
+  window.MLLive = MLLive;
+
+  if (window.__ML_LIVE_CONFIG) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => {
+        MLLive.boot(window.__ML_LIVE_CONFIG);
+      });
+    } else {
+      MLLive.boot(window.__ML_LIVE_CONFIG);
+    }
+  }
+}
+
+export * from './index.js';
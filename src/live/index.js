@@ -209,22 +209,6 @@ const MLLive = {
   },
 };
 
-// ── Auto-boot ─────────────────────────────────────────────────
-// If config was injected by @liveScripts, boot automatically
-if (typeof window !== 'undefined') {
-  window.MLLive = MLLive;
-
-  if (window.__ML_LIVE_CONFIG) {
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => {
-        MLLive.boot(window.__ML_LIVE_CONFIG);
-      });
-    } else {
-      MLLive.boot(window.__ML_LIVE_CONFIG);
-    }
-  }
-}
-
 // ── Named exports ─────────────────────────────────────────────
 export { MLLive };
 export { Wire } from './wire.js';
@@ -16,20 +16,53 @@ declare module 'monkeysjs' {
     __isComputed: true;
   }
 
-  export interface EffectOptions {
+  export interface DebuggerEvent {
+    effect: Function;
+    target: object;
+    key: any;
+    type: 'get' | 'has' | 'iterate' | 'set' | 'add' | 'delete' | 'clear';
+    newValue?: any;
+    oldValue?: any;
+  }
+
+  export interface DebuggerOptions {
+    onTrack?: (event: DebuggerEvent) => void;
+    onTrigger?: (event: DebuggerEvent) => void;
+  }
+
+  export interface EffectOptions extends DebuggerOptions {
     lazy?: boolean;
     computed?: boolean;
     scheduler?: (effect: Function) => void;
     onStop?: () => void;
+    scope?: EffectScope;
   }
 
-  export interface WatchOptions {
+  export interface EffectScope {
+    active: boolean;
+    run<T>(fn: () => T): T | undefined;
+    stop(): void;
+  }
+
+  export interface WatchOptions extends DebuggerOptions {
     immediate?: boolean;
-    deep?: boolean;
+    deep?: boolean | number;
+    once?: boolean;
     flush?: 'pre' | 'post' | 'sync';
   }
 
-  export type WatchSource<T = any> = Ref<T> | (() => T);
+  export interface WatchEffectOptions extends DebuggerOptions {
+    flush?: 'pre' | 'post' | 'sync';
+  }
+
+  export interface WatchHandle {
+    (): void;
+    stop: () => void;
+    pause: () => void;
+    resume: () => void;
+  }
+
+  export type WatchSource<T = any> = Ref<T> | (() => T) | T;
   export type WatchCallback<T = any> = (
     newValue: T,
     oldValue: T,
@@ -37,19 +70,183 @@ declare module 'monkeysjs' {
   ) => void;
 
   export function reactive<T extends object>(target: T): T;
+  export function shallowReactive<T extends object>(target: T): T;
+  export function readonly<T extends object>(target: T): Readonly<T>;
+  export function shallowReadonly<T extends object>(target: T): Readonly<T>;
+  export function markRaw<T extends object>(value: T): T;
   export function ref<T>(value: T): Ref<T>;
+  export function shallowRef<T>(value: T): Ref<T>;
+  export function triggerRef(ref: Ref): void;
   export function unref<T>(ref: T | Ref<T>): T;
+  export type ToRefs<T = any> = { [K in keyof T]: T[K] extends Ref ? T[K] : Ref<T[K]> };
+  export type ShallowUnwrapRef<T> = { [K in keyof T]: T[K] extends Ref<infer V> ? V : T[K] };
+  export function toRef<T extends object, K extends keyof T>(object: T, key: K, defaultValue?: T[K]): Ref<T[K]>;
+  export function toRef<T>(getter: () => T): Readonly<Ref<T>>;
+  export function toRef<T>(value: T | Ref<T>): Ref<T>;
+  export function toRefs<T extends object>(object: T): ToRefs<T>;
+  export function customRef<T>(factory: (track: () => void, trigger: () => void) => { get: () => T; set: (value: T) => void }): Ref<T>;
+  export function proxyRefs<T extends object>(object: T): ShallowUnwrapRef<T>;
   export function isRef<T>(value: any): value is Ref<T>;
   export function isReactive(value: any): boolean;
+  export function isReadonly(value: any): boolean;
+  export function isShallow(value: any): boolean;
+  export function isProxy(value: any): boolean;
   export function toRaw<T>(observed: T): T;
-  export function computed<T>(getter: () => T): ComputedRef<T>;
-  export function computed<T>(options: { get: () => T; set: (value: T) => void }): Ref<T>;
-  export function watch<T>(source: WatchSource<T>, callback: WatchCallback<T>, options?: WatchOptions): () => void;
+  export interface ComputedOptions<T = any> extends DebuggerOptions {
+    equals?: (value: T, oldValue: T | undefined) => boolean;
+  }
+
+  export function computed<T>(getter: (oldValue: T | undefined) => T, options?: ComputedOptions<T>): ComputedRef<T>;
+  export function computed<T>(options: { get: (oldValue: T | undefined) => T; set: (value: T) => void; equals?: ComputedOptions<T>['equals'] }, debugOptions?: ComputedOptions<T>): Ref<T>;
+  export interface ComputedAsyncOptions {
+    lazy?: boolean;
+    onError?: (error: any) => void;
+    evaluating?: Ref<boolean>;
+  }
+
+  export interface AsyncComputedRef<T = any> extends Readonly<Ref<T>> {
+    evaluating: Ref<boolean>;
+  }
+
+  export function computedAsync<T>(getter: (signal: AbortSignal) => Promise<T> | T, initial?: T, options?: ComputedAsyncOptions): AsyncComputedRef<T>;
+  export function watch<T>(source: WatchSource<T>, callback: WatchCallback<T>, options?: WatchOptions): WatchHandle;
+  export function watch<T extends any[]>(sources: [...T], callback: WatchCallback<any[]>, options?: WatchOptions): WatchHandle;
+  export function watchEffect(fn: (onCleanup: (fn: () => void) => void) => void, options?: WatchEffectOptions): WatchHandle;
+  export function watchPostEffect(fn: (onCleanup: (fn: () => void) => void) => void, options?: DebuggerOptions): WatchHandle;
   export function effect(fn: () => void, options?: EffectOptions): () => void;
   export function stop(effectFn: () => void): void;
-  export function batch(fn: () => void): void;
-  export function track(target: object, key: string | symbol): void;
-  export function trigger(target: object, key: string | symbol, type?: string): void;
+  export function effectScope(detached?: boolean): EffectScope;
+  export function getCurrentScope(): EffectScope | null;
+  export function onScopeDispose(fn: () => void): void;
+  export function batch<T>(fn: () => T): T;
+  export function nextTick<T = void>(fn?: () => T): Promise<T>;
+  export function track(target: object, key: string | symbol, type?: string): void;
+  export function trigger(target: object, key: string | symbol, type?: string, newValue?: any, oldValue?: any): void;
+  export function getDependencies(target: object): Array<{ key: any; effects: Function[] }>;
+  export function getEffectDependencies(effect: Function | ComputedRef): Array<{ target: object; key: any }>;
+
+  // ============================================
+  // Stores
+  // ============================================
+
+  export const MutationType: {
+    DIRECT: 'direct';
+    PATCH_OBJECT: 'patch object';
+    PATCH_FUNCTION: 'patch function';
+  };
+
+  export interface StoreMutationEvent {
+    key: any;
+    type: string;
+    newValue?: any;
+    oldValue?: any;
+    target: object;
+  }
+
+  export interface StoreMutation<S = any> {
+    storeId: string;
+    type: 'direct' | 'patch object' | 'patch function';
+    payload?: Partial<S>;
+    events: StoreMutationEvent[];
+  }
+
+  export interface StoreActionContext<St = any> {
+    name: string;
+    store: St;
+    args: any[];
+    after: (callback: (result: any) => void) => void;
+    onError: (callback: (error: any) => void) => void;
+  }
+
+  export interface StoreOptions<S extends object, G, A> {
+    state?: (() => S) | S;
+    getters?: G & ThisType<S & StoreGetterValues<G>> & { [K in keyof G]: (state: S) => any };
+    actions?: A & ThisType<Store<S, G, A>>;
+  }
+
+  export type StoreGetterValues<G> = { readonly [K in keyof G]: G[K] extends (...args: any[]) => infer R ? R : never };
+
+  export type Store<S extends object = any, G = any, A = any> = S & StoreGetterValues<G> & A & {
+    $id: string;
+    $state: S;
+    $patch(partial: Partial<S> | ((state: S) => void)): void;
+    $reset(): void;
+    $subscribe(callback: (mutation: StoreMutation<S>, state: S) => void, options?: { detached?: boolean }): () => void;
+    $onAction(callback: (context: StoreActionContext<Store<S, G, A>>) => void, detached?: boolean): () => void;
+    $dispose(): void;
+  };
+
+  export interface StorePluginContext {
+    store: Store;
+    options: StoreOptions<any, any, any>;
+    id: string;
+  }
+
+  export function defineStore<S extends object, G = {}, A = {}>(
+    id: string,
+    options: StoreOptions<S, G, A>
+  ): (() => Store<S, G, A>) & { $id: string };
+  export function registerStorePlugin(plugin: (context: StorePluginContext) => Record<string, any> | void): () => void;
+
+  // ============================================
+  // History
+  // ============================================
+
+  export interface HistoryRecord<T = any> {
+    snapshot: T;
+    timestamp: number;
+  }
+
+  export interface RefHistoryOptions<T = any> {
+    capacity?: number;
+    deep?: boolean | number;
+    clone?: ((value: T) => T) | false;
+    throttle?: number;
+    debounce?: number;
+  }
+
+  export interface RefHistory<T = any> {
+    source: Ref<T> | T;
+    history: ComputedRef<HistoryRecord<T>[]>;
+    last: Ref<HistoryRecord<T>>;
+    undoStack: Ref<HistoryRecord<T>[]>;
+    redoStack: Ref<HistoryRecord<T>[]>;
+    canUndo: ComputedRef<boolean>;
+    canRedo: ComputedRef<boolean>;
+    isTracking: Ref<boolean>;
+    commit(): void;
+    undo(): void;
+    redo(): void;
+    clear(): void;
+    batch(fn: (cancel: () => void) => void): void;
+    pause(): void;
+    resume(commitNow?: boolean): void;
+    stop(): void;
+  }
+
+  export function useRefHistory<T>(source: Ref<T>, options?: RefHistoryOptions<T>): RefHistory<T>;
+  export function useRefHistory<T extends object>(source: T, options?: RefHistoryOptions<T>): RefHistory<T>;
+
+  // ============================================
+  // JSON Patch
+  // ============================================
+
+  export type PatchOperation =
+    | { op: 'add'; path: string; value: any }
+    | { op: 'remove'; path: string }
+    | { op: 'replace'; path: string; value: any }
+    | { op: 'move'; from: string; path: string }
+    | { op: 'copy'; from: string; path: string }
+    | { op: 'test'; path: string; value: any };
+
+  export class PatchError extends Error {
+    operation?: PatchOperation;
+    index?: number;
+    constructor(message: string, operation?: PatchOperation, index?: number);
+  }
+
+  export function applyPatch<T extends object>(target: T, operations: PatchOperation[]): T;
+  export function diff(a: any, b: any, basePath?: string): PatchOperation[];
 
   // ============================================
   // HTTP Client
@@ -62,19 +259,53 @@ declare module 'monkeysjs' {
     ERROR: 'error';
   };
 
+  export interface HttpProgressEvent {
+    loaded: number;
+    total: number;
+    /** null when the total size is unknown */
+    percent: number | null;
+  }
+
+  export type HttpAdapter = (
+    url: string,
+    init: RequestInit & { onUploadProgress?: (event: HttpProgressEvent) => void },
+    config: HttpConfig
+  ) => Promise<Response>;
+
   export interface HttpConfig {
     baseURL?: string;
     timeout?: number;
     headers?: Record<string, string>;
     retries?: number;
     retryDelay?: number;
-    retryBackoff?: 'linear' | 'exponential';
+    retryDelayMax?: number;
+    retryBackoff?: 'linear' | 'exponential' | 'full-jitter' | 'decorrelated-jitter';
     retryCondition?: (error: HttpError) => boolean;
-    cache?: boolean;
+    /** Methods retried without an Idempotency-Key */
+    retryMethods?: string[];
+    /** Send an Idempotency-Key header on methods outside retryMethods, which allows retrying them */
+    idempotencyKey?: boolean | string | ((config: HttpConfig) => string);
+    onRetry?: (error: any, info: { attempt: number; delay: number; config: HttpConfig }) => void | Promise<void>;
+    /** true: fixed TTL cache; 'http': follow Cache-Control, ETag and Last-Modified */
+    cache?: boolean | 'http';
     cacheTTL?: number;
+    /** Persist the 'http' cache to IndexedDB (client option) */
+    cachePersist?: boolean | IndexedDBWrapper;
     dedupeRequests?: boolean;
     credentials?: RequestCredentials;
-    responseType?: 'json' | 'text' | 'blob' | 'arrayBuffer' | 'formData';
+    responseType?: 'json' | 'text' | 'blob' | 'arrayBuffer' | 'formData' | 'stream';
+    /** Decoder for responseType 'stream'; raw Uint8Array chunks when omitted */
+    streamDecoder?: 'text' | 'lines' | 'ndjson';
+    onDownloadProgress?: (event: HttpProgressEvent) => void;
+    /** Sends the request over XMLHttpRequest, since fetch cannot report upload progress; falls back to fetch without it */
+    onUploadProgress?: (event: HttpProgressEvent) => void;
+    /** Transport: 'fetch' (default), 'xhr', or a function such as createMockAdapter() */
+    adapter?: 'fetch' | 'xhr' | HttpAdapter;
+    signal?: AbortSignal;
+    cancelGroup?: string;
+    abortPrevious?: boolean | string;
+    /** Leave this request alone in withAuth() */
+    skipAuth?: boolean;
   }
 
   export interface HttpResponse<T = any> {
@@ -89,6 +320,16 @@ declare module 'monkeysjs' {
     status: number;
     response: any;
     request: any;
+    headers?: Record<string, string>;
+    aborted?: boolean;
+    timedOut?: boolean;
+  }
+
+  export interface InterceptorManager<F> {
+    use(fulfilled: F, rejected?: (error: any, config?: HttpConfig, client?: HttpClient) => any): number;
+    eject(id: number): void;
+    clear(): void;
+    list(): Array<{ fulfilled: F; rejected?: (error: any, config?: HttpConfig, client?: HttpClient) => any }>;
   }
 
   export interface HttpClient {
@@ -101,18 +342,13 @@ declare module 'monkeysjs' {
     head<T = any>(url: string, config?: HttpConfig): Promise<HttpResponse<T>>;
     options<T = any>(url: string, config?: HttpConfig): Promise<HttpResponse<T>>;
     request<T = any>(config: HttpConfig & { url: string; method?: string }): Promise<HttpResponse<T>>;
+    cancel(group: string, reason?: any): number;
+    cancelAll(reason?: any): number;
     interceptors: {
-      request: {
-        use(fulfilled: (config: HttpConfig) => HttpConfig | Promise<HttpConfig>, rejected?: (error: any) => any): number;
-        eject(id: number): void;
-        clear(): void;
-      };
-      response: {
-        use(fulfilled: (response: HttpResponse) => HttpResponse | Promise<HttpResponse>, rejected?: (error: any) => any): number;
-        eject(id: number): void;
-        clear(): void;
-      };
+      request: InterceptorManager<(config: HttpConfig) => HttpConfig | Promise<HttpConfig>>;
+      response: InterceptorManager<(response: HttpResponse, config: HttpConfig) => HttpResponse | Promise<HttpResponse>>;
     };
+    extend(config?: HttpConfig): HttpClient;
     cache: {
       get(key: string): any;
       set(key: string, value: any, ttl?: number): void;
@@ -123,6 +359,50 @@ declare module 'monkeysjs' {
   }
 
   export function createClient(config?: HttpConfig): HttpClient;
+
+  export interface MockRequest {
+    method: string;
+    url: string;
+    path: string;
+    query: Record<string, string>;
+    params: Record<string, string>;
+    headers: Record<string, string>;
+    data: any;
+    body: any;
+    config: HttpConfig;
+  }
+
+  export type MockReply = [status: number, body?: any, headers?: Record<string, string>];
+
+  export interface MockRouteBuilder {
+    reply(status: number, body?: any, headers?: Record<string, string>): MockAdapter;
+    reply(handler: (request: MockRequest) => MockReply | Promise<MockReply>): MockAdapter;
+    replyOnce(status: number, body?: any, headers?: Record<string, string>): MockAdapter;
+    replyOnce(handler: (request: MockRequest) => MockReply | Promise<MockReply>): MockAdapter;
+    delay(ms: number): MockRouteBuilder;
+    networkError(): MockAdapter;
+    timeout(): MockAdapter;
+    passThrough(): MockAdapter;
+  }
+
+  export type MockMatcher = string | RegExp | ((request: MockRequest) => boolean);
+  export type MockBodyMatcher = Record<string, any> | ((data: any, request: MockRequest) => boolean);
+
+  export interface MockAdapter extends HttpAdapter {
+    onGet(matcher?: MockMatcher, body?: MockBodyMatcher): MockRouteBuilder;
+    onPost(matcher?: MockMatcher, body?: MockBodyMatcher): MockRouteBuilder;
+    onPut(matcher?: MockMatcher, body?: MockBodyMatcher): MockRouteBuilder;
+    onPatch(matcher?: MockMatcher, body?: MockBodyMatcher): MockRouteBuilder;
+    onDelete(matcher?: MockMatcher, body?: MockBodyMatcher): MockRouteBuilder;
+    onHead(matcher?: MockMatcher, body?: MockBodyMatcher): MockRouteBuilder;
+    onOptions(matcher?: MockMatcher, body?: MockBodyMatcher): MockRouteBuilder;
+    onAny(matcher?: MockMatcher, body?: MockBodyMatcher): MockRouteBuilder;
+    history: Record<'all' | 'get' | 'post' | 'put' | 'patch' | 'delete' | 'head' | 'options', MockRequest[]>;
+    resetHistory(): void;
+    reset(): void;
+  }
+
+  export function createMockAdapter(options?: { delay?: number; onNoMatch?: 'error' | 'passthrough' }): MockAdapter;
   export const http: HttpClient;
 
   export interface UseFetchReturn<T = any> {
@@ -155,6 +435,187 @@ declare module 'monkeysjs' {
 
   export function usePolling<T = any>(url: string, interval?: number, options?: UseFetchOptions): UsePollingReturn<T>;
 
+  export interface UseInfiniteFetchOptions<P = any> extends HttpConfig {
+    strategy?: 'cursor' | 'offset' | 'link';
+    client?: HttpClient;
+    immediate?: boolean;
+    throwOnError?: boolean;
+    pageParam?: string;
+    initialPageParam?: any;
+    limit?: number;
+    limitParam?: string;
+    getItems?: (page: P) => any[];
+    getNextPageParam?: (lastPage: P, pages: P[], lastPageParam: any, lastResponse: HttpResponse<P>) => any;
+    getPreviousPageParam?: (firstPage: P, pages: P[], firstPageParam: any, firstResponse: HttpResponse<P>) => any;
+  }
+
+  export interface UseInfiniteFetchReturn<P = any, I = any> {
+    pages: Ref<P[]>;
+    pageParams: Ref<any[]>;
+    items: ComputedRef<I[]>;
+    error: Ref<any>;
+    status: Ref<string>;
+    isLoading: Ref<boolean>;
+    isFetching: ComputedRef<boolean>;
+    isFetchingNextPage: Ref<boolean>;
+    isFetchingPreviousPage: Ref<boolean>;
+    hasNextPage: ComputedRef<boolean>;
+    hasPreviousPage: ComputedRef<boolean>;
+    fetchNextPage(): Promise<HttpResponse<P> | null>;
+    fetchPreviousPage(): Promise<HttpResponse<P> | null>;
+    refresh(): Promise<HttpResponse<P> | null>;
+    reset(): void;
+    abort(): void;
+  }
+
+  export function useInfiniteFetch<P = any, I = any>(
+    url: string,
+    options?: UseInfiniteFetchOptions<P>
+  ): UseInfiniteFetchReturn<P, I>;
+
+  export interface UsePaginatedFetchOptions extends UseFetchOptions {
+    page?: number;
+    pageSize?: number;
+    pageParam?: string;
+    pageSizeParam?: string;
+    getTotal?: (response: HttpResponse) => number | null;
+  }
+
+  export interface UsePaginatedFetchReturn<T = any> extends UseFetchReturn<T> {
+    page: Ref<number>;
+    pageSize: Ref<number>;
+    total: Ref<number | null>;
+    pageCount: ComputedRef<number | null>;
+    hasNextPage: ComputedRef<boolean>;
+    hasPreviousPage: ComputedRef<boolean>;
+    next(): void;
+    prev(): void;
+    goTo(page: number): void;
+    execute(): Promise<HttpResponse<T> | null>;
+    refresh(): Promise<HttpResponse<T> | null>;
+  }
+
+  export function usePaginatedFetch<T = any>(url: string, options?: UsePaginatedFetchOptions): UsePaginatedFetchReturn<T>;
+
+  export interface UploadItem<T = any> {
+    file: any;
+    name: string | null;
+    size: number;
+    loaded: number;
+    total: number;
+    progress: number;
+    status: 'pending' | 'uploading' | 'success' | 'error' | 'cancelled';
+    error: any;
+    data: T | null;
+  }
+
+  export interface UseUploadOptions extends HttpConfig {
+    client?: HttpClient;
+    method?: string;
+    fieldName?: string;
+    concurrency?: number;
+  }
+
+  export interface UseUploadReturn<T = any> {
+    files: Ref<UploadItem<T>[]>;
+    progress: ComputedRef<number>;
+    isUploading: Ref<boolean>;
+    error: Ref<any>;
+    data: Ref<T | T[] | null>;
+    upload(input: File | Blob | FileList | Array<File | Blob> | FormData | any, config?: HttpConfig & { fieldName?: string }): Promise<T | T[] | null>;
+    retry(): Promise<T | T[] | null>;
+    cancel(): void;
+  }
+
+  export function useUpload<T = any>(url: string, options?: UseUploadOptions): UseUploadReturn<T>;
+
+  export type QueryKey = string | readonly unknown[];
+  export type QueryFetcher<T = any> = ((context: { queryKey: unknown[]; signal: AbortSignal }) => Promise<T> | T) | string;
+
+  export interface QueryClientOptions {
+    client?: HttpClient;
+    staleTime?: number;
+    cacheTime?: number;
+  }
+
+  export interface QueryClient {
+    defaults: { staleTime: number; cacheTime: number };
+    getQueryData<T = any>(key: QueryKey): T | undefined;
+    setQueryData<T = any>(key: QueryKey, updater: T | ((oldData: T | undefined) => T)): T;
+    fetchQuery<T = any>(key: QueryKey, fetcher?: QueryFetcher<T>, options?: { staleTime?: number }): Promise<T>;
+    prefetchQuery<T = any>(key: QueryKey, fetcher?: QueryFetcher<T>, options?: { staleTime?: number }): Promise<void>;
+    invalidateQueries(prefix?: QueryKey, options?: { refetch?: boolean }): Promise<void>;
+    cancelQueries(prefix?: QueryKey): void;
+    removeQueries(prefix?: QueryKey): void;
+    clear(): void;
+  }
+
+  export interface UseQueryOptions {
+    queryClient?: QueryClient;
+    staleTime?: number;
+    cacheTime?: number;
+    enabled?: boolean | Ref<boolean> | (() => boolean);
+    refetchOnWindowFocus?: boolean;
+    refetchOnReconnect?: boolean;
+    refetchInterval?: number;
+  }
+
+  export interface UseQueryReturn<T = any> {
+    data: ComputedRef<T | undefined>;
+    error: ComputedRef<any>;
+    status: ComputedRef<string>;
+    updatedAt: ComputedRef<number>;
+    isFetching: ComputedRef<boolean>;
+    isLoading: ComputedRef<boolean>;
+    isSuccess: ComputedRef<boolean>;
+    isError: ComputedRef<boolean>;
+    refetch(): Promise<T | null>;
+    dispose(): void;
+  }
+
+  export function createQueryClient(options?: QueryClientOptions): QueryClient;
+  export const queryClient: QueryClient;
+  export function useQuery<T = any>(
+    key: QueryKey | Ref<QueryKey> | (() => QueryKey),
+    fetcher: QueryFetcher<T>,
+    options?: UseQueryOptions
+  ): UseQueryReturn<T>;
+
+  export interface UseMutationOptions<T = any, V = any, C = any> {
+    queryClient?: QueryClient;
+    /** Client used when mutationFn is a URL */
+    client?: HttpClient;
+    method?: string;
+    onMutate?: (variables: V) => C | Promise<C>;
+    onSuccess?: (data: T, variables: V, context: C | undefined) => void | Promise<void>;
+    onError?: (error: any, variables: V, context: C | undefined) => void | Promise<void>;
+    onSettled?: (data: T | undefined, error: any, variables: V, context: C | undefined) => void | Promise<void>;
+    optimistic?: {
+      queryKey: QueryKey | ((variables: V) => QueryKey);
+      updater: (oldData: any, variables: V) => any;
+    };
+    invalidateQueries?: QueryKey | ((data: T, variables: V) => QueryKey);
+    throwOnError?: boolean;
+  }
+
+  export interface UseMutationReturn<T = any, V = any> {
+    data: Ref<T | null>;
+    error: Ref<any>;
+    variables: Ref<V | undefined>;
+    status: Ref<string>;
+    isPending: Ref<boolean>;
+    isSuccess: Ref<boolean>;
+    isError: Ref<boolean>;
+    mutate(variables?: V): Promise<T | null>;
+    mutateAsync(variables?: V): Promise<T>;
+    reset(): void;
+  }
+
+  export function useMutation<T = any, V = any, C = any>(
+    mutationFn: ((variables: V) => Promise<T>) | string,
+    options?: UseMutationOptions<T, V, C>
+  ): UseMutationReturn<T, V>;
+
   // ============================================
   // WebSocket
   // ============================================
@@ -176,7 +637,8 @@ declare module 'monkeysjs' {
     heartbeatInterval?: number;
     heartbeatMessage?: string;
     heartbeatTimeout?: number;
-    protocols?: string | string[];
+    /** A function is called on every (re)connect */
+    protocols?: string | string[] | (() => string | string[] | Promise<string | string[]>);
     immediate?: boolean;
   }
 
@@ -207,7 +669,7 @@ declare module 'monkeysjs' {
     ws: Ref<WebSocket | null>;
   }
 
-  export function useWebSocket(url: string, options?: WebSocketOptions): UseWebSocketReturn;
+  export function useWebSocket(url: string | (() => string | Promise<string>), options?: WebSocketOptions): UseWebSocketReturn;
 
   export interface WebSocketClient {
     connect(path?: string, options?: WebSocketOptions): UseWebSocketReturn;
@@ -221,6 +683,38 @@ declare module 'monkeysjs' {
 
   export function createWebSocketClient(baseUrl: string, options?: WebSocketOptions): WebSocketClient;
 
+  // ============================================
+  // Auth
+  // ============================================
+
+  export interface AuthOptions {
+    getToken?: () => string | null | undefined | Promise<string | null | undefined>;
+    /** Resolves to the new token, or stores it where getToken() reads it */
+    refreshToken?: () => Promise<string | void>;
+    onRefreshFailed?: (error: any) => void | Promise<void>;
+    scheme?: string;
+    header?: string;
+    shouldRefresh?: (error: HttpError) => boolean;
+  }
+
+  export interface AuthWebSocketOptions extends WebSocketOptions {
+    via?: 'query' | 'protocol';
+    param?: string;
+    protocol?: (token: string) => string[];
+  }
+
+  export interface Auth {
+    token: Ref<string | null>;
+    getToken(): Promise<string | null | undefined>;
+    refresh(): Promise<string | null | undefined>;
+    setToken(token: string | null): void;
+    clearToken(): void;
+    useWebSocket(url: string, options?: AuthWebSocketOptions): UseWebSocketReturn;
+    eject(): void;
+  }
+
+  export function withAuth(client: HttpClient, options?: AuthOptions): Auth;
+
   // ============================================
   // DOM Binding
   // ============================================
@@ -496,7 +990,10 @@ declare module 'monkeysjs' {
     ref: typeof ref;
     computed: typeof computed;
     watch: typeof watch;
+    watchEffect: typeof watchEffect;
+    watchPostEffect: typeof watchPostEffect;
     effect: typeof effect;
+    defineStore: typeof defineStore;
     createClient: typeof createClient;
     http: typeof http;
     useFetch: typeof useFetch;
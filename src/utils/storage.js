@@ -7,9 +7,11 @@ import { ref, watch } from '../core/reactive.js';
 
 /**
  * Storage adapter interface
+ * The Web Storage object is resolved on first use so importing this module never touches window.
  */
-const createStorageAdapter = (storage) => ({
+const createStorageAdapter = (getStorage) => ({
   get(key) {
+    const storage = getStorage();
     try {
       const item = storage.getItem(key);
       return item ? JSON.parse(item) : null;
@@ -19,6 +21,7 @@ const createStorageAdapter = (storage) => ({
   },
 
   set(key, value) {
+    const storage = getStorage();
     try {
       const serialized = typeof value === 'string' ? value : JSON.stringify(value);
       storage.setItem(key, serialized);
@@ -30,29 +33,29 @@ const createStorageAdapter = (storage) => ({
   },
 
   remove(key) {
-    storage.removeItem(key);
+    getStorage().removeItem(key);
   },
 
   clear() {
-    storage.clear();
+    getStorage().clear();
   },
 
   has(key) {
-    return storage.getItem(key) !== null;
+    return getStorage().getItem(key) !== null;
   },
 
   keys() {
-    return Object.keys(storage);
+    return Object.keys(getStorage());
   }
 });
 
 // Storage adapters
 export const localStorage = typeof window !== 'undefined' 
-  ? createStorageAdapter(window.localStorage)
+  ? createStorageAdapter(() => window.localStorage)
   : createMemoryStorage();
 
 export const sessionStorage = typeof window !== 'undefined'
-  ? createStorageAdapter(window.sessionStorage)
+  ? createStorageAdapter(() => window.sessionStorage)
   : createMemoryStorage();
 
 /**
@@ -0,0 +1,50 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+
+// Every source module, excluding tests
+const modules = import.meta.glob(['../src/**/*.js', '!../src/**/*.test.js']);
+
+describe('SSR', () => {
+  it('should run without a DOM', () => {
+    expect(typeof window).toBe('undefined');
+    expect(typeof document).toBe('undefined');
+  });
+
+  it.each(Object.keys(modules))('should import %s without a DOM', async (path) => {
+    const mod = await modules[path]();
+    expect(mod).toBeTypeOf('object');
+  });
+
+  it('should use the core, HTTP, forms and storage modules on the server', async () => {
+    const {
+      reactive, computed, defineStore, useForm, createClient, localStorage, createApp
+    } = await import('../src/index.js');
+
+    const state = reactive({ count: 1 });
+    const double = computed(() => state.count * 2);
+    state.count++;
+    expect(double.value).toBe(4);
+
+    const useCounter = defineStore('ssr-counter', { state: () => ({ n: 0 }) });
+    expect(useCounter().n).toBe(0);
+
+    const form = useForm({ name: '' });
+    form.values.name = 'server';
+    expect(form.values.name).toBe('server');
+
+    expect(createClient({ baseURL: 'https://example.com' })).toBeTypeOf('object');
+
+    localStorage.set('key', 'value');
+    expect(localStorage.get('key')).toBe('value');
+
+    expect(createApp).toBeTypeOf('function');
+  });
+
+  it('should not auto-initialize unless the auto entry is imported', async () => {
+    const { MLLive } = await import('../src/live/index.js');
+    expect(MLLive.booted).toBe(false);
+
+    await import('../src/auto.js');
+    expect(typeof globalThis.MonkeysJS).toBe('undefined');
+  });
+});
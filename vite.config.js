@@ -1,33 +1,48 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
 
-export default defineConfig({
-  build: {
-    lib: {
-      entry: resolve(__dirname, 'src/index.js'),
-      name: 'MonkeysJS',
-      formats: ['es', 'umd', 'iife'],
-      fileName: (format) => {
-        if (format === 'es') return 'monkeysjs.esm.js';
-        if (format === 'umd') return 'monkeysjs.umd.js';
-        if (format === 'iife') return 'monkeysjs.min.js';
-        return `monkeysjs.${format}.js`;
-      }
+// `vite build` emits the side-effect-free ESM bundle from src/index.js, plus the
+// opt-in `monkeysjs/auto`, `monkeysjs/live` and `monkeysjs/live/auto` entries
+// sharing its chunks.
+// `vite build --mode cdn` emits the script-tag bundles from src/auto.js,
+// which expose window.MonkeysJS and auto-initialize [m-data] elements.
+export default defineConfig(({ mode }) => {
+  const cdn = mode === 'cdn';
+
+  return {
+    build: {
+      lib: {
+        entry: cdn ? resolve(__dirname, 'src/auto.js') : {
+          monkeysjs: resolve(__dirname, 'src/index.js'),
+          auto: resolve(__dirname, 'src/auto.js'),
+          live: resolve(__dirname, 'src/live/index.js'),
+          'live-auto': resolve(__dirname, 'src/live/auto.js')
+        },
+        name: 'MonkeysJS',
+        formats: cdn ? ['umd', 'iife'] : ['es'],
+        fileName: (format, entryName) => {
+          if (format === 'es') return entryName === 'monkeysjs' ? 'monkeysjs.esm.js' : `${entryName}.esm.js`;
+          if (format === 'umd') return 'monkeysjs.umd.js';
+          if (format === 'iife') return 'monkeysjs.min.js';
+          return `monkeysjs.${format}.js`;
+        }
+      },
+      rollupOptions: {
+        output: {
+          exports: 'named',
+          globals: {}
+        }
+      },
+      emptyOutDir: !cdn,
+      minify: 'esbuild',
+      sourcemap: true
     },
-    rollupOptions: {
-      output: {
-        exports: 'named',
-        globals: {}
-      }
+    define: {
+      __VERSION__: JSON.stringify(process.env.npm_package_version || '1.0.0')
     },
-    minify: 'esbuild',
-    sourcemap: true
-  },
-  define: {
-    __VERSION__: JSON.stringify(process.env.npm_package_version || '1.0.0')
-  },
-  test: {
-    globals: true,
-    environment: 'jsdom'
-  }
+    test: {
+      globals: true,
+      environment: 'jsdom'
+    }
+  };
 });